@@ -0,0 +1,52 @@
+/**
+ * Content hash of everything the service worker precaches, written to
+ * src/views/partials/build-hash.twig for master.twig's build_hash setting.
+ * The worker is registered as /sw.js?v=<hash>, so cache names change exactly
+ * when these files do. Run after changing any of them:
+ *
+ *     node scripts/build-hash.js
+ *
+ * tests/build-hash.test.js fails while the committed hash is out of date.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const ASSETS_DIR = 'src/assets';
+const ROOT_FILES = ['sw.js', 'offline.html', 'manifest.json'];
+const OUTPUT = 'src/views/partials/build-hash.twig';
+
+function listFiles(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true })
+        .flatMap(entry => {
+            const relative = path.posix.join(dir, entry.name);
+            return entry.isDirectory() ? listFiles(relative) : [relative];
+        });
+}
+
+// Paths are hashed too, so renaming a file changes the hash
+function computeBuildHash() {
+    const hash = crypto.createHash('sha256');
+
+    [...listFiles(ASSETS_DIR), ...ROOT_FILES].sort().forEach(file => {
+        hash.update(`${file}\0`);
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+        hash.update('\0');
+    });
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+function renderPartial(buildHash) {
+    return `{# Generated by scripts/build-hash.js - do not edit #}\n${buildHash}\n`;
+}
+
+if (require.main === module) {
+    const buildHash = computeBuildHash();
+    fs.writeFileSync(path.join(ROOT, OUTPUT), renderPartial(buildHash));
+    console.log(`${OUTPUT}: ${buildHash}`);
+}
+
+module.exports = { computeBuildHash, renderPartial, OUTPUT };
@@ -0,0 +1,67 @@
+/**
+ * src/locales holds the theme's dictionaries. This copies them to src/assets/locales,
+ * where main.js fetches them and the service worker precaches them, and inlines the
+ * Arabic one into main.js as the last-resort fallback for t() when no dictionary loads.
+ * Run after editing src/locales, then scripts/build-hash.js:
+ *
+ *     node scripts/build-locales.js
+ *
+ * tests/build-locales.test.js fails while the generated copies are out of date.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = 'src/locales';
+const OUTPUT_DIR = 'src/assets/locales';
+const MAIN_JS = 'src/assets/js/main.js';
+const FALLBACK_LOCALE = 'ar';
+const FALLBACK_START = '// <generated:fallback-translations>';
+const FALLBACK_END = '// </generated:fallback-translations>';
+
+function listLocales() {
+    return fs.readdirSync(path.join(ROOT, SOURCE_DIR))
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+function readSource(locale) {
+    return fs.readFileSync(path.join(ROOT, SOURCE_DIR, `${locale}.json`), 'utf8');
+}
+
+// main.js with the fallback block regenerated from the source dictionary
+function renderMainJs(mainJs) {
+    const start = mainJs.indexOf(FALLBACK_START);
+    const end = mainJs.indexOf(FALLBACK_END);
+
+    if (start === -1 || end === -1) {
+        throw new Error(`${MAIN_JS} is missing the ${FALLBACK_START} block`);
+    }
+
+    const dictionary = JSON.stringify(JSON.parse(readSource(FALLBACK_LOCALE)), null, 4);
+
+    return `${mainJs.slice(0, start)}${FALLBACK_START}\nconst FALLBACK_TRANSLATIONS = ${dictionary};\n${mainJs.slice(end)}`;
+}
+
+// Generated files: path relative to the repo root -> expected contents
+function getOutputs() {
+    const outputs = {};
+
+    listLocales().forEach(locale => {
+        outputs[`${OUTPUT_DIR}/${locale}.json`] = readSource(locale);
+    });
+    outputs[MAIN_JS] = renderMainJs(fs.readFileSync(path.join(ROOT, MAIN_JS), 'utf8'));
+
+    return outputs;
+}
+
+if (require.main === module) {
+    Object.entries(getOutputs()).forEach(([file, contents]) => {
+        fs.writeFileSync(path.join(ROOT, file), contents);
+        console.log(`wrote ${file}`);
+    });
+}
+
+module.exports = { getOutputs, ROOT };
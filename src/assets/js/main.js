@@ -21,6 +21,371 @@ const passiveSupported = (() => {
     return passiveSupported;
 })();
 
+// Arabic strings for t() when no dictionary could be loaded; generated from
+// src/locales/ar.json by scripts/build-locales.js, edit that file instead
+// <generated:fallback-translations>
+const FALLBACK_TRANSLATIONS = {
+    "meta": {
+        "dir": "rtl",
+        "name": "العربية"
+    },
+    "common": {
+        "close": "إغلاق",
+        "loading": "جاري التحميل...",
+        "error": "حدث خطأ",
+        "languageSwitch": "English",
+        "numeralsSwitch": {
+            "latn": "استخدام الأرقام الإنجليزية",
+            "arab": "استخدام الأرقام العربية"
+        },
+        "staleData": "تعرض بيانات محفوظة",
+        "staleDataAge": "تعرض بيانات محفوظة (آخر تحديث {age})"
+    },
+    "accessibility": {
+        "skipToContent": "تخطي إلى المحتوى الرئيسي",
+        "backToTop": "العودة للأعلى"
+    },
+    "ageGate": {
+        "title": "التحقق من العمر",
+        "description": "يحتوي هذا المتجر على منتجات نيكوتين مخصصة للبالغين. يجب أن يكون عمرك {minAge} سنة أو أكثر للمتابعة.",
+        "birthDate": "تاريخ الميلاد",
+        "day": "اليوم",
+        "month": "الشهر",
+        "year": "السنة",
+        "dayPlaceholder": "يوم",
+        "monthPlaceholder": "شهر",
+        "yearPlaceholder": "سنة",
+        "remember": "تذكرني على هذا الجهاز",
+        "submit": "دخول المتجر",
+        "invalidDate": "يرجى إدخال تاريخ ميلاد صحيح",
+        "denied": "عذراً، لا يمكنك الدخول إلى المتجر. يجب أن يكون عمرك {minAge} سنة أو أكثر."
+    },
+    "validation": {
+        "invalid": "القيمة غير صحيحة",
+        "required": "هذا الحقل مطلوب",
+        "email": "يرجى إدخال بريد إلكتروني صحيح",
+        "saudi-mobile": "يرجى إدخال رقم هاتف صحيح",
+        "minlength": "يجب ألا يقل عن {0} أحرف",
+        "maxlength": "يجب ألا يزيد عن {0} حرفاً",
+        "numeric": "يرجى إدخال أرقام فقط",
+        "match": "القيمتان غير متطابقتين",
+        "saudi-id": "يرجى إدخال رقم هوية أو إقامة صحيح",
+        "iban": "يرجى إدخال رقم آيبان صحيح",
+        "postal-code": "يرجى إدخال رمز بريدي صحيح من 5 أرقام",
+        "remote": "هذه القيمة غير متاحة",
+        "summary": {
+            "zero": "يرجى تصحيح الأخطاء التالية:",
+            "one": "يرجى تصحيح الخطأ التالي:",
+            "two": "يرجى تصحيح الخطأين التاليين:",
+            "few": "يرجى تصحيح الأخطاء الـ {count} التالية:",
+            "many": "يرجى تصحيح الـ {count} خطأً التالية:",
+            "other": "يرجى تصحيح الأخطاء التالية:"
+        }
+    },
+    "cart": {
+        "title": "سلة التسوق",
+        "close": "إغلاق السلة",
+        "added": "تم إضافة المنتج للسلة بنجاح",
+        "addedShort": "تم الإضافة",
+        "addError": "حدث خطأ أثناء إضافة المنتج",
+        "queuedAdd": "أنت غير متصل حالياً، سيتم إضافة المنتج للسلة تلقائياً عند عودة الاتصال",
+        "pendingSync": "بانتظار المزامنة عند عودة الاتصال",
+        "quantityUnavailable": "الكمية المطلوبة غير متوفرة",
+        "itemRemoved": "تم حذف المنتج من السلة",
+        "quantityUpdated": "تم تحديث الكمية",
+        "updateError": "تعذر تحديث السلة",
+        "subtotal": "المجموع الفرعي",
+        "checkout": "إتمام الطلب",
+        "empty": "سلة التسوق فارغة",
+        "freeShippingRemaining": "أضف {amount} للحصول على شحن مجاني",
+        "freeShippingReached": "لقد حصلت على شحن مجاني!",
+        "decrease": "إنقاص الكمية",
+        "increase": "زيادة الكمية",
+        "removeItem": "حذف {name} من السلة",
+        "synced": "تمت مزامنة سلتك بعد عودة الاتصال",
+        "syncAddFailed": "تعذر إضافة منتج إلى السلة بعد عودة الاتصال",
+        "syncFailed": "تعذر مزامنة بعض التغييرات بعد عودة الاتصال"
+    },
+    "wishlist": {
+        "add": "إضافة للمفضلة",
+        "remove": "إزالة من المفضلة",
+        "added": "تم إضافة المنتج للمفضلة",
+        "removed": "تم إزالة المنتج من المفضلة",
+        "queued": "سيتم تحديث المفضلة عند عودة الاتصال",
+        "title": "قائمة المفضلة",
+        "empty": "قائمة المفضلة فارغة. اضغط على القلب في أي منتج لحفظه هنا.",
+        "moveToCart": "نقل إلى السلة",
+        "share": "مشاركة القائمة",
+        "shareTitle": "قائمة المفضلة",
+        "linkCopied": "تم نسخ رابط القائمة",
+        "sharedTitle": "قائمة مفضلة مشتركة",
+        "sharedEmpty": "المنتجات في هذه القائمة لم تعد متاحة",
+        "merged": {
+            "zero": "لم تتم إضافة أي منتجات",
+            "one": "تمت إضافة المنتج المحفوظ إلى حسابك",
+            "two": "تمت إضافة المنتجين المحفوظين إلى حسابك",
+            "few": "تمت إضافة {count} منتجات محفوظة إلى حسابك",
+            "many": "تمت إضافة {count} منتجاً محفوظاً إلى حسابك",
+            "other": "تمت إضافة {count} منتج محفوظ إلى حسابك"
+        }
+    },
+    "compare": {
+        "title": "مقارنة المنتجات",
+        "add": "إضافة للمقارنة",
+        "remove": "إزالة من المقارنة",
+        "removeItem": "إزالة {name} من المقارنة",
+        "open": "قارن",
+        "clear": "مسح الكل",
+        "count": {
+            "zero": "لا توجد منتجات من {limit}",
+            "one": "منتج واحد من {limit}",
+            "two": "منتجان من {limit}",
+            "few": "{count} منتجات من {limit}",
+            "many": "{count} منتجاً من {limit}",
+            "other": "{count} منتج من {limit}"
+        },
+        "limitReached": {
+            "zero": "لا يمكن مقارنة أي منتجات",
+            "one": "يمكنك مقارنة منتج واحد فقط",
+            "two": "يمكنك مقارنة منتجين كحد أقصى",
+            "few": "يمكنك مقارنة {count} منتجات كحد أقصى",
+            "many": "يمكنك مقارنة {count} منتجاً كحد أقصى",
+            "other": "يمكنك مقارنة {count} منتج كحد أقصى"
+        },
+        "differencesOnly": "إظهار الاختلافات فقط",
+        "noDifferences": "هذه المنتجات لها نفس المواصفات",
+        "feature": "الميزة",
+        "price": "السعر",
+        "brand": "العلامة التجارية",
+        "rating": "التقييم",
+        "availability": "التوفر",
+        "notAvailable": "—"
+    },
+    "product": {
+        "inStock": "متوفر",
+        "outOfStock": "نفذ المخزون",
+        "discount": "خصم {percent}",
+        "lowStock": {
+            "zero": "نفذ المخزون",
+            "one": "متبقي قطعة واحدة فقط",
+            "two": "متبقي قطعتان فقط",
+            "few": "متبقي {count} قطع فقط",
+            "many": "متبقي {count} قطعة فقط",
+            "other": "متبقي {count} قطعة فقط"
+        },
+        "rating": "تقييم {rating} من 5",
+        "options": "الخيارات",
+        "chooseOptions": "اختر جميع الخيارات أولاً",
+        "quantity": "الكمية",
+        "addToCart": "إضافة للسلة"
+    },
+    "quickView": {
+        "close": "إغلاق العرض السريع",
+        "loadError": "تعذر تحميل تفاصيل المنتج",
+        "image": "الصورة {index}",
+        "fullDetails": "عرض التفاصيل الكاملة"
+    },
+    "search": {
+        "results": "نتائج البحث",
+        "products": "المنتجات",
+        "categories": "الفئات",
+        "brands": "العلامات التجارية",
+        "offline": "أنت غير متصل - نتائج من المنتجات المحفوظة",
+        "noResults": "لا توجد نتائج",
+        "resultCount": {
+            "zero": "لا توجد نتائج",
+            "one": "نتيجة واحدة",
+            "two": "نتيجتان",
+            "few": "{count} نتائج",
+            "many": "{count} نتيجة",
+            "other": "{count} نتيجة"
+        },
+        "recent": "عمليات البحث الأخيرة",
+        "clearRecent": "مسح"
+    },
+    "recentlyViewed": {
+        "title": "شاهدته مؤخراً",
+        "clear": "مسح السجل"
+    },
+    "newsletter": {
+        "subscribe": "اشتراك",
+        "subscribing": "جاري الاشتراك...",
+        "success": "تم الاشتراك بنجاح! شكراً لك",
+        "error": "حدث خطأ أثناء الاشتراك"
+    },
+    "loyalty": {
+        "title": "نقاط ولاء",
+        "balanceLabel": {
+            "zero": "نقاط الولاء: لا توجد نقاط",
+            "one": "نقاط الولاء: نقطة واحدة",
+            "two": "نقاط الولاء: نقطتان",
+            "few": "نقاط الولاء: {count} نقاط",
+            "many": "نقاط الولاء: {count} نقطة",
+            "other": "نقاط الولاء: {count} نقطة"
+        },
+        "pointsUnit": {
+            "zero": "نقطة",
+            "one": "نقطة",
+            "two": "نقطة",
+            "few": "نقاط",
+            "many": "نقطة",
+            "other": "نقطة"
+        },
+        "tier": "عضوية {tier}",
+        "progressLabel": "التقدم نحو {tier}",
+        "toNextTier": {
+            "zero": "وصلت إلى {tier}",
+            "one": "تبقت نقطة واحدة للوصول إلى {tier}",
+            "two": "تبقت نقطتان للوصول إلى {tier}",
+            "few": "تبقت {count} نقاط للوصول إلى {tier}",
+            "many": "تبقت {count} نقطة للوصول إلى {tier}",
+            "other": "تبقت {count} نقطة للوصول إلى {tier}"
+        },
+        "topTier": "أنت في أعلى مستوى",
+        "earnPoints": {
+            "zero": "لا توجد نقاط",
+            "one": "اكسب نقطة واحدة",
+            "two": "اكسب نقطتين",
+            "few": "اكسب {count} نقاط",
+            "many": "اكسب {count} نقطة",
+            "other": "اكسب {count} نقطة"
+        },
+        "cartEarn": {
+            "zero": "لن تكسب نقاطاً من هذا الطلب",
+            "one": "ستكسب نقطة واحدة من هذا الطلب",
+            "two": "ستكسب نقطتين من هذا الطلب",
+            "few": "ستكسب {count} نقاط من هذا الطلب",
+            "many": "ستكسب {count} نقطة من هذا الطلب",
+            "other": "ستكسب {count} نقطة من هذا الطلب"
+        },
+        "discount": "خصم النقاط",
+        "redeemTitle": "استخدم نقاطك",
+        "redeemOption": {
+            "zero": "خصم {amount}",
+            "one": "نقطة واحدة مقابل خصم {amount}",
+            "two": "نقطتان مقابل خصم {amount}",
+            "few": "{count} نقاط مقابل خصم {amount}",
+            "many": "{count} نقطة مقابل خصم {amount}",
+            "other": "{count} نقطة مقابل خصم {amount}"
+        },
+        "redeem": "تطبيق",
+        "removeRedemption": "إزالة",
+        "redeemEmptyCart": "أضف منتجات إلى السلة لاستخدام نقاطك",
+        "noRedemptions": "لا توجد مكافآت متاحة حالياً",
+        "redeemed": "تم تطبيق نقاطك على السلة",
+        "redemptionRemoved": "تمت إعادة النقاط إلى رصيدك",
+        "redeemFailed": "تعذر تطبيق النقاط، يرجى المحاولة مرة أخرى",
+        "historyTitle": "سجل النقاط",
+        "historyEmpty": "لا توجد حركات على النقاط بعد",
+        "loadMore": "عرض المزيد",
+        "guestIntro": {
+            "zero": "اكسب النقاط مع كل {amount} تنفقها وحوّلها إلى خصومات.",
+            "one": "اكسب نقطة واحدة مقابل كل {amount} تنفقها وحوّل نقاطك إلى خصومات.",
+            "two": "اكسب نقطتين مقابل كل {amount} تنفقها وحوّل نقاطك إلى خصومات.",
+            "few": "اكسب {count} نقاط مقابل كل {amount} تنفقها وحوّل نقاطك إلى خصومات.",
+            "many": "اكسب {count} نقطة مقابل كل {amount} تنفقها وحوّل نقاطك إلى خصومات.",
+            "other": "اكسب {count} نقطة مقابل كل {amount} تنفقها وحوّل نقاطك إلى خصومات."
+        },
+        "join": "إنشاء حساب أو تسجيل الدخول",
+        "unavailable": "نقاط الولاء غير متاحة حالياً"
+    },
+    "push": {
+        "softAsk": {
+            "page": "هل تريد أن نخبرك بالعروض وتحديثات طلباتك؟",
+            "cart": "هل تريد تنبيهاً عند توفر عروض على منتجاتك أو تحديث طلبك؟",
+            "order": "هل تريد إشعاراً عند تحديث حالة طلبك؟"
+        },
+        "topicsLabel": "الإشعارات التي تريد استلامها",
+        "topics": {
+            "offers": "العروض والخصومات",
+            "back-in-stock": "عودة المنتجات للمخزون",
+            "order-status": "حالة الطلب"
+        },
+        "allow": "تفعيل الإشعارات",
+        "later": "ليس الآن",
+        "subscribed": "تم تفعيل الإشعارات",
+        "subscribeError": "تعذر تفعيل الإشعارات",
+        "blocked": "الإشعارات محظورة في إعدادات المتصفح"
+    },
+    "restock": {
+        "title": "تنبيه التوفر",
+        "description": "سنخبرك فور توفر {name} من جديد.",
+        "channel": "كيف تفضل أن نبلغك؟",
+        "channels": {
+            "email": "البريد الإلكتروني",
+            "sms": "رسالة نصية",
+            "push": "إشعار المتصفح"
+        },
+        "email": "البريد الإلكتروني",
+        "phone": "رقم الجوال",
+        "submit": "أعلمني",
+        "notifyMe": "أعلمني عند التوفر",
+        "notifying": "سيتم إعلامك",
+        "subscribed": "سنبلغك عند توفر المنتج",
+        "cancelled": "تم إلغاء تنبيه التوفر",
+        "cancel": "إلغاء التنبيه",
+        "error": "تعذر حفظ التنبيه، حاول مرة أخرى",
+        "empty": "لا توجد لديك تنبيهات توفر",
+        "subscribedVia": {
+            "email": "سيتم إعلامك عبر البريد على {contact}",
+            "sms": "سيتم إعلامك برسالة نصية على {contact}",
+            "push": "سيتم إعلامك بإشعار في المتصفح"
+        },
+        "manage": "إدارة التنبيهات"
+    },
+    "update": {
+        "available": "يتوفر إصدار جديد من المتجر",
+        "refresh": "تحديث",
+        "later": "لاحقاً",
+        "afterCheckout": "سيتم التحديث بعد إتمام عملية الدفع"
+    },
+    "offline": {
+        "pageTitle": "غير متصل - Vaperelax",
+        "title": "غير متصل",
+        "message": "يبدو أنك غير متصل بالإنترنت حالياً. تحقق من اتصالك وحاول مرة أخرى.",
+        "retry": "إعادة المحاولة",
+        "retrying": "جاري المحاولة...",
+        "home": "العودة للرئيسية",
+        "statusOnline": "حالة الاتصال: متصل",
+        "statusOffline": "حالة الاتصال: غير متصل",
+        "statusChecking": "جاري التحقق من الاتصال...",
+        "waitingForNetwork": "سنعيد المحاولة تلقائياً عند عودة الشبكة.",
+        "nextRetry": "إعادة المحاولة خلال {seconds} ثانية",
+        "stillOffline": "لا يزال الاتصال غير متاح. تحقق من شبكة الإنترنت.",
+        "cachedTitle": "المحتوى المتاح دون اتصال:",
+        "cachedProducts": "منتجات شاهدتها",
+        "cachedCategories": "تصنيفات زرتها",
+        "cachedBrands": "علامات تجارية زرتها",
+        "linkHome": "الرئيسية",
+        "linkProducts": "المنتجات",
+        "linkCart": "السلة",
+        "linkAccount": "الحساب"
+    },
+    "offlineContent": {
+        "title": "المحتوى دون اتصال",
+        "save": "حفظ للتصفح دون اتصال",
+        "unsave": "إزالة من المحتوى دون اتصال",
+        "saved": "تم الحفظ - يمكنك عرض هذا المنتج دون اتصال",
+        "removed": "تمت الإزالة من المحتوى دون اتصال",
+        "saveError": "تعذر حفظ هذا المنتج للتصفح دون اتصال",
+        "usage": "المستخدم {used} من {quota}",
+        "autoSave": "إبقاء السلة والمفضلة متاحة دون اتصال",
+        "autoSaveHint": "يتم التحديث تلقائياً عبر Wi-Fi فقط",
+        "savedTitle": "المنتجات المحفوظة",
+        "remove": "إزالة",
+        "empty": "لم تحفظ أي منتجات للتصفح دون اتصال",
+        "clearAll": "مسح المحتوى دون اتصال",
+        "cleared": "تم مسح المحتوى دون اتصال",
+        "clearError": "تعذر مسح المحتوى دون اتصال، يرجى المحاولة مرة أخرى"
+    },
+    "sw": {
+        "offlineMessage": "لا يوجد اتصال بالإنترنت",
+        "pushView": "عرض",
+        "pushDismiss": "إغلاق"
+    }
+};
+// </generated:fallback-translations>
+
 // Global theme object
 const VaperelaxTheme = {
     // Configuration
@@ -37,19 +402,223 @@ const VaperelaxTheme = {
         lazyLoading: {
             rootMargin: '50px 0px',
             threshold: 0.1
+        },
+        quickView: {
+            // Product and variant details are refetched after this long (price and stock move)
+            cacheTTL: 5 * 60 * 1000
+        },
+        // Must match the IndexedDB schema in sw.js
+        offlineQueue: {
+            dbName: 'vaperelax-sw',
+            dbVersion: 2,
+            storeName: 'failed-requests',
+            settingsStoreName: 'settings',
+            syncTag: 'background-sync'
+        },
+        search: {
+            minLength: 2,
+            debounce: 300,
+            limit: 5,
+            cacheSize: 20,
+            recentKey: 'vaperelaxRecentSearches',
+            recentLimit: 5,
+            recentlyViewedLimit: 4
+        },
+        cart: {
+            freeShippingThreshold: 200,
+            storageKey: 'vaperelaxCart',
+            channelName: 'vaperelax-cart'
+        },
+        ageGate: {
+            enabled: true,
+            minAge: 18,
+            rememberDays: 30,
+            storageKey: 'vaperelaxAgeVerified'
+        },
+        i18n: {
+            locale: 'ar',
+            localesUrl: '/assets/locales',
+            storageKey: 'vaperelaxLocale',
+            rtlLocales: ['ar', 'fa', 'he', 'ur']
+        },
+        money: {
+            currency: 'SAR',
+            region: 'SA',
+            // 'latn' (123) or 'arab' (١٢٣); shoppers can override per device
+            numberingSystem: 'latn',
+            numberingSystems: ['latn', 'arab'],
+            storageKey: 'vaperelaxNumerals'
+        },
+        serviceWorker: {
+            // Never swap versions on these pages
+            checkoutPattern: /\/(?:checkout|payment)(?:\/|$)/,
+            dismissedKey: 'vaperelaxUpdateDismissed'
+        },
+        push: {
+            endpoint: '/api/push/subscriptions',
+            // Notification clicks, dismissals and closes reported by the service worker
+            eventsEndpoint: '/api/push/events',
+            vapidPublicKey: '',
+            topics: ['offers', 'back-in-stock', 'order-status'],
+            topicsKey: 'vaperelaxPushTopics',
+            softAskKey: 'vaperelaxPushAskedAt',
+            softAskCooldownDays: 14
+        },
+        restock: {
+            endpoint: '/api/restock-subscriptions',
+            storageKey: 'vaperelaxRestockSubscriptions',
+            manageUrl: ''
+        },
+        offlineContent: {
+            savedKey: 'vaperelaxSavedOffline',
+            autoSaveKey: 'vaperelaxOfflineAutoSave',
+            lastAutoSaveKey: 'vaperelaxOfflineAutoSavedAt',
+            // Refresh the Wi-Fi precache at most this often
+            autoSaveInterval: 6 * 60 * 60 * 1000,
+            // Give up on a service worker reply after this long
+            messageTimeout: 15000
+        },
+        recentlyViewed: {
+            dbName: 'vaperelax-theme',
+            dbVersion: 1,
+            storeName: 'recently-viewed',
+            limit: 12,
+            // Refetch price and stock for records older than this
+            refreshInterval: 30 * 60 * 1000
+        },
+        wishlist: {
+            storageKey: 'vaperelaxWishlist',
+            pageUrl: '/wishlist',
+            // Set from theme settings; null for guests
+            customerId: null,
+            shareLimit: 50
+        },
+        compare: {
+            storageKey: 'vaperelaxCompare',
+            limit: 4
+        },
+        analytics: {
+            // GA4 measurement ID from theme settings; empty when gtag is configured elsewhere
+            measurementId: '',
+            // Share of a product card that must be visible to count as a list view
+            listViewThreshold: 0.5,
+            listViewDelay: 500
+        },
+        loyalty: {
+            enabled: true,
+            endpoint: '/api/loyalty',
+            // Points per unit of store currency, used until the program has loaded
+            earnRate: 1,
+            signupUrl: '/login'
         }
     },
 
+    // Known crawlers and link-preview bots skip the age gate so SEO is unaffected
+    crawlerPattern: /bot|crawl|spider|slurp|bingpreview|mediapartners|facebookexternalhit|whatsapp|telegram|twitterbot|linkedinbot|embedly|pinterest/i,
+
+    // Per-input search state and LRU cache of search responses
+    searchStates: new WeakMap(),
+    searchCache: new Map(),
+
+    // Markup built by html``/trustedHTML(); look-alike objects from API data are escaped
+    trustedMarkup: new WeakSet(),
+
+    // Strings loaded from src/assets/locales/<locale>.json, plus every dictionary fetched so far
+    translations: {},
+    localeCache: new Map(),
+    pluralRules: new Map(),
+
+    // Intl.NumberFormat instances keyed by locale, numbering system and options
+    numberFormats: new Map(),
+
+    // API data answered from the service worker cache: source -> age in seconds
+    staleSources: new Map(),
+
+    // Latest validation run per field, so stale async results are dropped
+    validationRuns: new WeakMap(),
+
+    // Lists precached for offline use on Wi-Fi: source name -> () => urls
+    offlineSources: new Map(),
+
+    // Offline content panels on screen, and the cache stats last fetched for them
+    visibleOfflinePanels: new WeakSet(),
+    offlineCacheStats: null,
+
+    // Products viewed on this device, newest first (see setupRecentlyViewed)
+    recentlyViewed: [],
+
+    // In-flight and completed quick view requests, keyed by product id: { request, expiresAt }.
+    // Also read by compare, the shared wishlist and the recently viewed refresh.
+    quickViewCache: new Map(),
+
+    // Variant selection per card / quick view, and variant detail requests by "product:variant"
+    // (same entry shape as quickViewCache)
+    variantStates: new WeakMap(),
+    variantCache: new Map(),
+
+    // Client-side cart model, hydrated from /api/cart
+    cartState: {
+        items: [],
+        count: 0,
+        subtotal: 0,
+        loyaltyDiscount: 0,
+        updatedAt: 0
+    },
+
+    // Product cards seen but not yet sent in view_item_list, and "list|product" keys already sent
+    pendingListViews: [],
+    reportedListItems: new Set(),
+
+    // Watches body while the age gate is open so late-added elements are blocked too
+    ageGateObserver: null,
+
+    // Loyalty program and the signed-in member, from config.loyalty.endpoint
+    loyaltyState: null,
+    loyaltyHistory: { items: [], page: 0, hasMore: false, loading: false },
+
+    // Declarative actions: data-action value -> handler method
+    actionHandlers: {
+        'add-to-cart': 'addToCart',
+        'wishlist': 'toggleWishlist',
+        'quick-view': 'openQuickView',
+        'select-variant': 'selectVariant',
+        'select-option': 'selectOption',
+        'set-locale': 'switchLocale',
+        'toggle-numerals': 'toggleNumberingSystem',
+        'notify-restock': 'openRestockForm',
+        'save-offline': 'toggleSavedOffline',
+        'compare': 'toggleCompare',
+        'open-loyalty': 'openLoyalty'
+    },
+
     // Initialize theme
     init() {
+        this.loadThemeSettings();
+        // Prices and digits don't need the dictionary; setLocale() formats them again once it loads
+        this.formatPrices();
+        this.updateNumeralsSwitch();
+        this.i18nReady = this.setLocale(this.config.i18n.locale, { persist: false });
+        this.setupAgeGate();
+        this.setupActions();
         this.setupLazyLoading();
         this.setupSmoothScrolling();
+        this.setupValidationRules();
         this.setupFormValidation();
         this.setupCartFunctionality();
+        this.setupVariants();
+        this.setupQuickView();
         this.setupSearchFunctionality();
         this.setupPerformanceOptimizations();
         this.setupAccessibility();
         this.setupAnalytics();
+        this.setupOfflineQueue();
+        this.setupPushNotifications();
+        this.setupRestockAlerts();
+        this.setupOfflineContent();
+        this.setupRecentlyViewed();
+        this.setupWishlist();
+        this.setupCompare();
+        this.setupLoyalty();
         
         // Initialize components after DOM is ready
         document.addEventListener('DOMContentLoaded', () => {
@@ -59,741 +628,6422 @@ const VaperelaxTheme = {
         });
     },
 
-    // Lazy loading implementation
-    setupLazyLoading() {
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries, observer) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        
-                        // Load the image
-                        if (img.dataset.src) {
-                            img.src = img.dataset.src;
-                            img.classList.add('loaded');
-                            img.classList.remove('lazy');
-                            
-                            // Remove observer
-                            observer.unobserve(img);
-                            
-                            // Trigger custom event
-                            img.dispatchEvent(new CustomEvent('imageLoaded'));
-                        }
-                    }
-                });
-            }, this.config.lazyLoading);
+    // Merge merchant settings rendered by master.twig into config
+    loadThemeSettings() {
+        const element = document.getElementById('theme-settings');
+        let settings = {};
 
-            // Observe all lazy images
-            document.querySelectorAll('img[data-src]').forEach(img => {
-                imageObserver.observe(img);
-            });
-        } else {
-            // Fallback for older browsers
-            document.querySelectorAll('img[data-src]').forEach(img => {
-                img.src = img.dataset.src;
-                img.classList.add('loaded');
-                img.classList.remove('lazy');
-            });
+        if (element) {
+            try {
+                settings = JSON.parse(element.textContent) || {};
+            } catch (error) {
+                console.error('Invalid theme settings:', error);
+            }
         }
-    },
 
-    // Smooth scrolling for anchor links
-    setupSmoothScrolling() {
-        document.addEventListener('click', (e) => {
-            const link = e.target.closest('a[href^="#"]');
-            if (link) {
-                e.preventDefault();
-                const targetId = link.getAttribute('href').substring(1);
-                const targetElement = document.getElementById(targetId);
-                
-                if (targetElement) {
-                    targetElement.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                    
-                    // Update URL without triggering scroll
-                    history.pushState(null, null, `#${targetId}`);
-                }
-            }
-        });
+        this.settings = settings;
+
+        const { ageGate } = this.config;
+        if (settings.age_gate_enabled !== undefined) {
+            ageGate.enabled = Boolean(settings.age_gate_enabled);
+        }
+        ageGate.minAge = parseInt(settings.age_gate_min_age, 10) || ageGate.minAge;
+        ageGate.rememberDays = parseInt(settings.age_gate_remember_days, 10) || ageGate.rememberDays;
+
+        this.config.wishlist.customerId = settings.customer_id ? String(settings.customer_id) : null;
+
+        // A language the shopper picked on this device wins over the page default
+        const { i18n } = this.config;
+        let storedLocale = null;
+        try {
+            storedLocale = localStorage.getItem(i18n.storageKey);
+        } catch (error) {
+            console.warn('Locale preference unavailable:', error);
+        }
+
+        i18n.locale = storedLocale || settings.locale || document.documentElement.lang || i18n.locale;
+        i18n.localesUrl = settings.locales_url || i18n.localesUrl;
+
+        const { money } = this.config;
+        let storedNumerals = null;
+        try {
+            storedNumerals = localStorage.getItem(money.storageKey);
+        } catch (error) {
+            console.warn('Numerals preference unavailable:', error);
+        }
+
+        money.currency = this.isCurrencyCode(settings.currency) ? settings.currency : money.currency;
+        money.numberingSystem = [storedNumerals, settings.numbering_system]
+            .find(value => money.numberingSystems.includes(value)) || money.numberingSystem;
+
+        const { push } = this.config;
+        push.vapidPublicKey = settings.vapid_public_key || push.vapidPublicKey;
+        push.endpoint = settings.push_endpoint || push.endpoint;
+        push.eventsEndpoint = settings.push_events_endpoint || push.eventsEndpoint;
+
+        this.config.analytics.measurementId = settings.ga_measurement_id || '';
+
+        const { loyalty } = this.config;
+        if (settings.loyalty_enabled !== undefined) {
+            loyalty.enabled = Boolean(settings.loyalty_enabled);
+        }
+        loyalty.endpoint = settings.loyalty_endpoint || loyalty.endpoint;
+        loyalty.earnRate = Number(settings.loyalty_earn_rate) || loyalty.earnRate;
+        loyalty.signupUrl = settings.login_url || loyalty.signupUrl;
+
+        this.config.restock.manageUrl = settings.notifications_url || '';
     },
 
-    // Form validation
-    setupFormValidation() {
-        const forms = document.querySelectorAll('form[data-validate]');
-        
-        forms.forEach(form => {
-            form.addEventListener('submit', (e) => {
-                if (!this.validateForm(form)) {
-                    e.preventDefault();
-                }
-            });
-            
-            // Real-time validation
-            const inputs = form.querySelectorAll('input, textarea, select');
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => {
-                    this.validateField(input);
-                });
-                
-                input.addEventListener('input', () => {
-                    this.clearFieldError(input);
+    // Fetch a locale file once; resolves to null when it can't be loaded
+    async loadTranslations(locale) {
+        if (!this.localeCache.has(locale)) {
+            const { localesUrl } = this.config.i18n;
+
+            const request = fetch(`${localesUrl}/${locale}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Locale ${locale} responded ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn(`Failed to load translations for ${locale}:`, error);
+                    this.localeCache.delete(locale);
+                    return null;
                 });
-            });
-        });
+
+            this.localeCache.set(locale, request);
+        }
+
+        return this.localeCache.get(locale);
     },
 
-    // Validate individual field
-    validateField(field) {
-        const value = field.value.trim();
-        const type = field.type;
-        const required = field.hasAttribute('required');
-        let isValid = true;
-        let errorMessage = '';
+    // Switch language: load strings, flip lang/dir on <html> and re-translate the page
+    async setLocale(locale, { persist = true } = {}) {
+        const translations = await this.loadTranslations(locale);
 
-        // Required field validation
-        if (required && !value) {
-            isValid = false;
-            errorMessage = 'هذا الحقل مطلوب';
+        // A failed switch keeps the current language; a failed first load carries on with
+        // the server-rendered text and the literal fallbacks passed to t()
+        if (!translations && Object.keys(this.translations).length > 0) {
+            return false;
         }
-        
-        // Email validation
-        else if (type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'يرجى إدخال بريد إلكتروني صحيح';
+
+        const { i18n } = this.config;
+        const previousLocale = i18n.locale;
+        const dir = (translations && translations.meta && translations.meta.dir)
+            || (i18n.rtlLocales.includes(locale.split('-')[0]) ? 'rtl' : 'ltr');
+
+        this.translations = translations || {};
+        i18n.locale = locale;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = dir;
+
+        if (persist) {
+            try {
+                localStorage.setItem(i18n.storageKey, locale);
+            } catch (error) {
+                console.warn('Failed to store locale preference:', error);
             }
         }
-        
-        // Phone validation
-        else if (type === 'tel' && value) {
-            const phoneRegex = /^(\+966|0)?[5][0-9]{8}$/;
-            if (!phoneRegex.test(value.replace(/\s/g, ''))) {
-                isValid = false;
-                errorMessage = 'يرجى إدخال رقم هاتف صحيح';
-            }
+
+        // Drawers built with the old strings are rebuilt on next open
+        if (previousLocale !== locale) {
+            document.querySelectorAll('#mini-cart:not(.active), #quick-view:not(.active), #restock-modal:not(.active), #compare-modal:not(.active), #loyalty-modal:not(.active)').forEach(element => element.remove());
         }
 
-        // Show/hide error
-        if (!isValid) {
-            this.showFieldError(field, errorMessage);
-        } else {
-            this.clearFieldError(field);
+        this.translatePage();
+        this.formatPrices();
+        this.updateNumeralsSwitch();
+        if (translations) {
+            this.syncLocaleToServiceWorker();
         }
+        document.dispatchEvent(new CustomEvent('localeChanged', { detail: { locale, dir } }));
 
-        return isValid;
+        return Boolean(translations);
     },
 
-    // Show field error
-    showFieldError(field, message) {
-        field.classList.add('error');
-        
-        let errorElement = field.parentNode.querySelector('.field-error');
-        if (!errorElement) {
-            errorElement = document.createElement('span');
-            errorElement.className = 'field-error';
-            field.parentNode.appendChild(errorElement);
+    // Language switch button: data-locale holds the language it switches to
+    async switchLocale(button) {
+        const currentLocale = this.config.i18n.locale;
+
+        if (await this.setLocale(button.dataset.locale)) {
+            button.dataset.locale = currentLocale;
+            button.lang = currentLocale;
         }
-        
-        errorElement.textContent = message;
-        errorElement.style.cssText = `
-            color: #e74c3c;
-            font-size: 0.875rem;
-            margin-top: 0.25rem;
-            display: block;
-        `;
     },
 
-    // Clear field error
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const errorElement = field.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
+    // Static strings marked up with data-i18n / data-i18n-<attribute>
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, {}, element.textContent);
+        });
+
+        ['aria-label', 'placeholder', 'title'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`), {}, element.getAttribute(attribute) || ''));
+            });
+        });
+    },
+
+    // The service worker keeps its own copy for offline responses, offline.html and push actions
+    syncLocaleToServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            return;
         }
+
+        const { locale } = this.config.i18n;
+        const { sw, offline } = this.translations;
+
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({
+                        type: 'SET_LOCALE',
+                        locale,
+                        dir: document.documentElement.dir,
+                        messages: { sw, offline }
+                    });
+                }
+            })
+            .catch(error => console.warn('Failed to sync locale to service worker:', error));
     },
 
-    // Validate entire form
-    validateForm(form) {
-        const fields = form.querySelectorAll('input, textarea, select');
-        let isValid = true;
-        
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
-                isValid = false;
+    // Translate a dotted key, e.g. t('validation.minlength', { 0: 3 }).
+    // Plural entries are objects keyed by CLDR category (Arabic uses all six:
+    // zero, one, two, few, many, other) and are picked with params.count.
+    // Missing strings fall back to the caller's literal, then the bundled Arabic dictionary.
+    t(key, params = {}, fallback) {
+        const lookup = (dictionary, locale) => {
+            let value = key.split('.').reduce(
+                (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+                dictionary
+            );
+
+            if (value && typeof value === 'object' && params.count !== undefined) {
+                const category = this.getPluralRules(locale).select(Number(params.count));
+                value = value[category] !== undefined ? value[category] : value.other;
             }
+
+            return typeof value === 'string' ? value : undefined;
+        };
+
+        let value = lookup(this.translations, this.config.i18n.locale);
+        if (value === undefined) {
+            value = fallback !== undefined ? fallback : lookup(FALLBACK_TRANSLATIONS, 'ar');
+        }
+
+        // Numbers follow the shopper's digits preference
+        const formattedParams = {};
+        Object.keys(params).forEach(name => {
+            formattedParams[name] = typeof params[name] === 'number' ? this.formatNumber(params[name]) : params[name];
         });
-        
-        return isValid;
+
+        return this.interpolate(value !== undefined ? value : key, formattedParams);
     },
 
-    // Cart functionality
-    setupCartFunctionality() {
-        // Add to cart
-        document.addEventListener('click', (e) => {
-            const addToCartBtn = e.target.closest('.add-to-cart-btn');
-            if (addToCartBtn) {
-                e.preventDefault();
-                this.addToCart(addToCartBtn);
-            }
-        });
+    getPluralRules(locale = this.config.i18n.locale) {
+        if (!this.pluralRules.has(locale)) {
+            this.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
 
-        // Update cart count on page load
-        this.updateCartCount();
+        return this.pluralRules.get(locale);
     },
 
-    // Add product to cart
-    async addToCart(button) {
-        const productId = button.dataset.productId;
-        const quantity = button.dataset.quantity || 1;
-        
-        if (button.classList.contains('loading')) {
-            return;
-        }
-        
-        button.classList.add('loading');
-        
-        try {
-            const response = await fetch('/api/cart/add', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-TOKEN': this.getCSRFToken()
-                },
-                body: JSON.stringify({
-                    product_id: productId,
-                    quantity: parseInt(quantity)
-                })
-            });
-            
-            const data = await response.json();
-            
-            if (data.success) {
-                this.updateCartCount(data.cart_count);
-                this.showNotification('تم إضافة المنتج للسلة بنجاح', 'success');
-                
-                // Update button temporarily
-                const originalText = button.innerHTML;
-                button.innerHTML = `
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <polyline points="20,6 9,17 4,12"></polyline>
-                    </svg>
-                    تم الإضافة
-                `;
-                
-                setTimeout(() => {
-                    button.innerHTML = originalText;
-                }, 2000);
-                
-                // Trigger cart update event
-                document.dispatchEvent(new CustomEvent('cartUpdated', {
-                    detail: { count: data.cart_count, total: data.cart_total }
-                }));
-                
-            } else {
-                this.showNotification(data.message || 'حدث خطأ أثناء إضافة المنتج', 'error');
-            }
-            
-        } catch (error) {
-            console.error('Cart error:', error);
-            this.showNotification('حدث خطأ أثناء إضافة المنتج', 'error');
-        } finally {
-            button.classList.remove('loading');
+    // Intl locale for numbers: the UI language in the store's region (ar -> ar-SA)
+    getFormatLocale() {
+        const { locale } = this.config.i18n;
+        return locale.includes('-') ? locale : `${locale}-${this.config.money.region}`;
+    },
+
+    getNumberFormat(options = {}) {
+        const locale = this.getFormatLocale();
+        const { numberingSystem } = this.config.money;
+        const key = JSON.stringify([locale, numberingSystem, options]);
+
+        if (!this.numberFormats.has(key)) {
+            this.numberFormats.set(key, new Intl.NumberFormat(locale, { numberingSystem, ...options }));
         }
+
+        return this.numberFormats.get(key);
     },
 
-    // Update cart count display
-    updateCartCount(count) {
-        const cartCountElements = document.querySelectorAll('.cart-count');
-        
-        if (count !== undefined) {
-            cartCountElements.forEach(element => {
-                element.textContent = count;
-                
-                // Add animation
-                element.style.transform = 'scale(1.2)';
-                setTimeout(() => {
-                    element.style.transform = 'scale(1)';
-                }, 200);
-            });
-        } else {
-            // Fetch current cart count
-            fetch('/api/cart/count')
-                .then(response => response.json())
-                .then(data => {
-                    cartCountElements.forEach(element => {
-                        element.textContent = data.count || 0;
-                    });
-                })
-                .catch(error => {
-                    console.error('Failed to fetch cart count:', error);
-                });
+    // Accepts numbers, "1,250.50", Arabic-Indic digits or Salla money objects ({ amount, currency })
+    parseAmount(value) {
+        if (value && typeof value === 'object') {
+            return this.parseAmount(value.amount);
         }
-    },
 
-    // Search functionality
-    setupSearchFunctionality() {
-        const searchInputs = document.querySelectorAll('.search-input');
-        
-        searchInputs.forEach(input => {
-            let searchTimeout;
-            
-            input.addEventListener('input', (e) => {
-                clearTimeout(searchTimeout);
-                const query = e.target.value.trim();
-                
-                if (query.length >= 2) {
-                    searchTimeout = setTimeout(() => {
-                        this.performSearch(query, input);
-                    }, 300);
-                } else {
-                    this.hideSearchResults(input);
-                }
-            });
-            
-            // Hide results when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!input.closest('.search-container').contains(e.target)) {
-                    this.hideSearchResults(input);
-                }
-            });
-        });
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const normalized = this.validation.toLatinDigits(String(value ?? ''))
+            .replace(/٫/g, '.')
+            .replace(/[^\d.-]/g, '');
+
+        return normalized ? Number(normalized) : NaN;
     },
 
-    // Perform search
-    async performSearch(query, input) {
+    // Format a price; SAR and the other GCC currencies get their own decimals from Intl
+    // (KWD, BHD and OMR use three). Whole amounts drop the trailing zeros.
+    formatMoney(amount, currency) {
+        const value = this.parseAmount(amount);
+
+        if (!Number.isFinite(value)) {
+            return '';
+        }
+
+        const options = {
+            style: 'currency',
+            currency: [currency, amount && amount.currency, this.config.money.currency]
+                .find(code => this.isCurrencyCode(code)) || 'SAR'
+        };
+
+        if (Number.isInteger(value)) {
+            options.minimumFractionDigits = 0;
+        }
+
         try {
-            const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=5`);
-            const data = await response.json();
-            
-            if (data.success) {
-                this.showSearchResults(data.results, input);
-            }
+            return this.getNumberFormat(options).format(value);
         } catch (error) {
-            console.error('Search error:', error);
+            if (!(error instanceof RangeError) || options.currency === 'SAR') {
+                throw error;
+            }
+
+            console.warn(`Unsupported currency "${options.currency}", showing SAR:`, error);
+            return this.getNumberFormat({ ...options, currency: 'SAR' }).format(value);
         }
     },
 
-    // Show search results
-    showSearchResults(results, input) {
-        let resultsContainer = input.parentNode.querySelector('.search-results');
-        
-        if (!resultsContainer) {
-            resultsContainer = document.createElement('div');
-            resultsContainer.className = 'search-results';
-            input.parentNode.appendChild(resultsContainer);
-        }
-        
-        if (results.length > 0) {
-            resultsContainer.innerHTML = results.map(result => `
-                <a href="${result.url}" class="search-result-item">
-                    <img src="${result.image}" alt="${result.name}" width="40" height="40">
-                    <div class="search-result-info">
-                        <span class="search-result-name">${result.name}</span>
-                        <span class="search-result-price">${result.price} ر.س</span>
-                    </div>
-                </a>
-            `).join('');
-        } else {
-            resultsContainer.innerHTML = '<div class="search-no-results">لا توجد نتائج</div>';
-        }
-        
-        resultsContainer.style.display = 'block';
+    // ISO 4217 codes only; anything else would make Intl.NumberFormat throw
+    isCurrencyCode(code) {
+        return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
     },
 
-    // Hide search results
-    hideSearchResults(input) {
-        const resultsContainer = input.parentNode.querySelector('.search-results');
-        if (resultsContainer) {
-            resultsContainer.style.display = 'none';
+    formatNumber(value, options = {}) {
+        return this.getNumberFormat(options).format(value);
+    },
+
+    formatPercent(percent) {
+        return this.getNumberFormat({ style: 'percent', maximumFractionDigits: 0 }).format(percent / 100);
+    },
+
+    // Storage sizes, e.g. 12.5 MB
+    formatBytes(bytes) {
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        let value = bytes;
+        let index = 0;
+
+        while (value >= 1024 && index < units.length - 1) {
+            value /= 1024;
+            index++;
         }
+
+        return this.formatNumber(value, { style: 'unit', unit: units[index], maximumFractionDigits: 1 });
     },
 
-    // Performance optimizations
-    setupPerformanceOptimizations() {
-        // Preload critical resources
-        this.preloadCriticalResources();
-        
-        // Optimize images
-        this.optimizeImages();
-        
-        // Setup resource hints
-        this.setupResourceHints();
-        
-        // Monitor performance
-        this.monitorPerformance();
+    // Calendar dates, e.g. 12 Oct 2026; Gregorian in both languages
+    formatDate(value) {
+        const { numberingSystem } = this.config.money;
+
+        return new Intl.DateTimeFormat(this.getFormatLocale(), { dateStyle: 'medium', calendar: 'gregory', numberingSystem })
+            .format(new Date(value));
     },
 
-    // Preload critical resources
-    preloadCriticalResources() {
-        const criticalResources = [
-            { href: '/assets/css/main.css', as: 'style' },
-            { href: '/assets/fonts/arabic-font.woff2', as: 'font', type: 'font/woff2', crossorigin: 'anonymous' }
-        ];
-        
-        criticalResources.forEach(resource => {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            Object.assign(link, resource);
-            document.head.appendChild(link);
-        });
+    // Whole-number discount percentage, 0 when there is no real discount
+    calculateDiscount(originalPrice, currentPrice) {
+        const original = this.parseAmount(originalPrice);
+        const current = this.parseAmount(currentPrice);
+
+        if (!(original > 0) || !(current >= 0) || current >= original) {
+            return 0;
+        }
+
+        return Math.round((1 - current / original) * 100);
     },
 
-    // Optimize images
-    optimizeImages() {
-        // Add loading="lazy" to images below the fold
-        const images = document.querySelectorAll('img:not([loading])');
-        images.forEach((img, index) => {
-            if (index > 3) { // Skip first 3 images (likely above the fold)
-                img.loading = 'lazy';
+    // Server-rendered prices ([data-amount]) and discount badges ([data-discount-original])
+    formatPrices(root = document) {
+        root.querySelectorAll('[data-amount]').forEach(element => {
+            const formatted = this.formatMoney(element.dataset.amount, element.dataset.currency);
+            if (formatted) {
+                element.textContent = formatted;
+            }
+        });
+
+        root.querySelectorAll('[data-discount-original]').forEach(element => {
+            const percent = this.calculateDiscount(element.dataset.discountOriginal, element.dataset.discountCurrent);
+            if (percent > 0) {
+                // Before the dictionary loads the server-rendered badge stays as it is
+                element.textContent = this.t('product.discount', { percent: this.formatPercent(percent) }, element.textContent);
             }
         });
     },
 
-    // Setup resource hints
-    setupResourceHints() {
-        const hints = [
-            { rel: 'dns-prefetch', href: '//fonts.googleapis.com' },
-            { rel: 'dns-prefetch', href: '//www.google-analytics.com' },
-            { rel: 'preconnect', href: 'https://api.salla.sa' }
-        ];
-        
-        hints.forEach(hint => {
-            const link = document.createElement('link');
-            Object.assign(link, hint);
-            document.head.appendChild(link);
+    // Switch between Latin and Arabic-Indic digits on this device
+    setNumberingSystem(numberingSystem) {
+        this.config.money.numberingSystem = numberingSystem;
+
+        try {
+            localStorage.setItem(this.config.money.storageKey, numberingSystem);
+        } catch (error) {
+            console.warn('Failed to store numerals preference:', error);
+        }
+
+        this.formatPrices();
+        this.updateNumeralsSwitch();
+        this.renderMiniCart();
+    },
+
+    // Header digits switch: toggles between the two supported systems
+    toggleNumberingSystem() {
+        this.setNumberingSystem(this.config.money.numberingSystem === 'arab' ? 'latn' : 'arab');
+    },
+
+    // The switch shows the digits it switches to, like the language switch
+    updateNumeralsSwitch() {
+        const target = this.config.money.numberingSystem === 'arab' ? 'latn' : 'arab';
+        const label = this.t(`common.numeralsSwitch.${target}`, {}, target === 'arab' ? 'استخدام الأرقام العربية' : 'استخدام الأرقام الإنجليزية');
+
+        document.querySelectorAll('[data-action="toggle-numerals"]').forEach(button => {
+            button.textContent = target === 'arab' ? '١٢٣' : '123';
+            button.setAttribute('aria-label', label);
+            button.title = label;
         });
     },
 
-    // Monitor performance
-    monitorPerformance() {
-        if ('PerformanceObserver' in window) {
-            // Monitor LCP
-            const lcpObserver = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                const lastEntry = entries[entries.length - 1];
-                
-                // Send to analytics
-                if (typeof gtag !== 'undefined') {
-                    gtag('event', 'LCP', {
-                        event_category: 'Web Vitals',
-                        value: Math.round(lastEntry.startTime),
-                        non_interaction: true
-                    });
+    // Fill {name} placeholders
+    interpolate(template, params = {}) {
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? String(params[name]) : match
+        ));
+    },
+
+    // Age verification gate
+    setupAgeGate() {
+        this.ageVerified = !this.config.ageGate.enabled
+            || this.crawlerPattern.test(navigator.userAgent)
+            || this.hasValidAgeVerification();
+
+        if (!this.ageVerified) {
+            // Wait for the locale so the gate isn't rendered with raw keys
+            this.i18nReady.then(() => {
+                if (!this.ageVerified) {
+                    this.showAgeGate();
                 }
             });
-            
-            lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-            
-            // Monitor FID
-            const fidObserver = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                entries.forEach(entry => {
-                    if (typeof gtag !== 'undefined') {
-                        gtag('event', 'FID', {
-                            event_category: 'Web Vitals',
-                            value: Math.round(entry.processingStart - entry.startTime),
-                            non_interaction: true
-                        });
-                    }
-                });
-            });
-            
-            fidObserver.observe({ entryTypes: ['first-input'] });
         }
     },
 
-    // Setup accessibility features
-    setupAccessibility() {
-        // Skip to main content link
-        this.addSkipToMainLink();
-        
-        // Keyboard navigation
-        this.setupKeyboardNavigation();
-        
-        // Focus management
-        this.setupFocusManagement();
-        
-        // ARIA live regions
-        this.setupLiveRegions();
+    // Stored verification: localStorage when remembered, sessionStorage otherwise
+    hasValidAgeVerification() {
+        const { storageKey } = this.config.ageGate;
+
+        try {
+            if (sessionStorage.getItem(storageKey)) {
+                return true;
+            }
+
+            const stored = JSON.parse(localStorage.getItem(storageKey));
+            if (stored && stored.expiresAt > Date.now()) {
+                return true;
+            }
+
+            localStorage.removeItem(storageKey);
+        } catch (error) {
+            console.warn('Age verification storage unavailable:', error);
+        }
+
+        return false;
     },
 
-    // Add skip to main content link
-    addSkipToMainLink() {
-        const skipLink = document.createElement('a');
-        skipLink.href = '#main-content';
-        skipLink.textContent = 'تخطي إلى المحتوى الرئيسي';
-        skipLink.className = 'skip-to-main';
-        skipLink.style.cssText = `
-            position: absolute;
-            top: -40px;
-            left: 6px;
-            background: #000;
-            color: #fff;
-            padding: 8px;
-            text-decoration: none;
-            z-index: 10000;
-            border-radius: 4px;
-            transition: top 0.3s;
+    // Guard for actions that require a verified age
+    ensureAgeVerified() {
+        if (!this.ageVerified) {
+            this.showAgeGate();
+        }
+
+        return this.ageVerified;
+    },
+
+    showAgeGate() {
+        let gate = document.getElementById('age-gate');
+
+        if (gate) {
+            gate.querySelector('input').focus();
+            return;
+        }
+
+        const { minAge } = this.config.ageGate;
+
+        gate = document.createElement('div');
+        gate.id = 'age-gate';
+        gate.className = 'age-gate';
+        gate.innerHTML = this.html`
+            <div class="age-gate__dialog" role="dialog" aria-modal="true" tabindex="-1" aria-labelledby="age-gate-title" aria-describedby="age-gate-description">
+                <h2 class="age-gate__title" id="age-gate-title">${this.t('ageGate.title', {}, 'التحقق من العمر')}</h2>
+                <p class="age-gate__description" id="age-gate-description">${this.t('ageGate.description', { minAge }, 'يحتوي هذا المتجر على منتجات نيكوتين مخصصة للبالغين. يجب أن يكون عمرك {minAge} سنة أو أكثر للمتابعة.')}</p>
+                <form class="age-gate__form" novalidate>
+                    <fieldset class="age-gate__fieldset">
+                        <legend class="age-gate__legend">${this.t('ageGate.birthDate', {}, 'تاريخ الميلاد')}</legend>
+                        <div class="age-gate__fields">
+                            <label class="age-gate__field">
+                                <span>${this.t('ageGate.day', {}, 'اليوم')}</span>
+                                <input type="text" name="day" inputmode="numeric" maxlength="2" autocomplete="bday-day" placeholder="${this.t('ageGate.dayPlaceholder', {}, 'يوم')}" required>
+                            </label>
+                            <label class="age-gate__field">
+                                <span>${this.t('ageGate.month', {}, 'الشهر')}</span>
+                                <input type="text" name="month" inputmode="numeric" maxlength="2" autocomplete="bday-month" placeholder="${this.t('ageGate.monthPlaceholder', {}, 'شهر')}" required>
+                            </label>
+                            <label class="age-gate__field age-gate__field--year">
+                                <span>${this.t('ageGate.year', {}, 'السنة')}</span>
+                                <input type="text" name="year" inputmode="numeric" maxlength="4" autocomplete="bday-year" placeholder="${this.t('ageGate.yearPlaceholder', {}, 'سنة')}" required>
+                            </label>
+                        </div>
+                    </fieldset>
+                    <label class="age-gate__remember">
+                        <input type="checkbox" name="remember" checked>
+                        ${this.t('ageGate.remember', {}, 'تذكرني على هذا الجهاز')}
+                    </label>
+                    <p class="age-gate__error" role="alert" aria-live="assertive"></p>
+                    <button type="submit" class="btn btn-primary age-gate__submit">${this.t('ageGate.submit', {}, 'دخول المتجر')}</button>
+                </form>
+            </div>
         `;
-        
-        skipLink.addEventListener('focus', () => {
-            skipLink.style.top = '6px';
+
+        gate.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitAgeGate(gate);
         });
-        
-        skipLink.addEventListener('blur', () => {
-            skipLink.style.top = '-40px';
+
+        // Not a .modal: Escape must not dismiss the gate
+        gate.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                this.trapFocus(e, gate);
+            }
         });
-        
-        document.body.insertBefore(skipLink, document.body.firstChild);
-    },
 
-    // Setup keyboard navigation
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            // Escape key closes modals/dropdowns
-            if (e.key === 'Escape') {
-                this.closeAllModals();
-                this.closeAllDropdowns();
+        // Block the rest of the page until verified, including anything added later
+        // (chat widgets, toasts, modals opened by other scripts)
+        const blockElement = (element) => {
+            if (element !== gate && !element.hasAttribute('inert')) {
+                element.setAttribute('inert', '');
+                element.dataset.ageGateInert = 'true';
             }
-            
+        };
+
+        Array.from(document.body.children).forEach(blockElement);
+
+        this.ageGateObserver = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        blockElement(node);
+                    }
+                });
+            });
+        });
+        this.ageGateObserver.observe(document.body, { childList: true });
+
+        document.body.appendChild(gate);
+        document.body.classList.add('age-gate-open');
+        gate.querySelector('input').focus();
+    },
+
+    submitAgeGate(gate) {
+        const form = gate.querySelector('form');
+        const error = gate.querySelector('.age-gate__error');
+        const { minAge, rememberDays, storageKey } = this.config.ageGate;
+
+        // Accept Arabic-Indic digits
+        const read = (name) => parseInt(this.searchNormalizer.fold(form.elements[name].value.trim()), 10);
+        const day = read('day');
+        const month = read('month');
+        const year = read('year');
+        const birthDate = new Date(year, month - 1, day);
+        const today = new Date();
+
+        const isValidDate = year > 1900
+            && birthDate.getFullYear() === year
+            && birthDate.getMonth() === month - 1
+            && birthDate.getDate() === day
+            && birthDate <= today;
+
+        if (!isValidDate) {
+            error.textContent = this.t('ageGate.invalidDate', {}, 'يرجى إدخال تاريخ ميلاد صحيح');
+            form.elements.day.focus();
+            return;
+        }
+
+        let age = today.getFullYear() - year;
+        if (today.getMonth() < month - 1 || (today.getMonth() === month - 1 && today.getDate() < day)) {
+            age--;
+        }
+
+        const remember = form.elements.remember.checked;
+
+        this.track('age_verification', {
+            event_category: 'Compliance',
+            event_label: age >= minAge ? 'passed' : 'failed',
+            remember: remember
+        });
+
+        if (age < minAge) {
+            form.hidden = true;
+            gate.querySelector('.age-gate__description').textContent = this.t('ageGate.denied', { minAge }, 'عذراً، لا يمكنك الدخول إلى المتجر. يجب أن يكون عمرك {minAge} سنة أو أكثر.');
+            gate.querySelector('.age-gate__dialog').focus();
+            return;
+        }
+
+        try {
+            if (remember) {
+                localStorage.setItem(storageKey, JSON.stringify({
+                    verifiedAt: Date.now(),
+                    expiresAt: Date.now() + rememberDays * 24 * 60 * 60 * 1000
+                }));
+            } else {
+                sessionStorage.setItem(storageKey, String(Date.now()));
+            }
+        } catch (storageError) {
+            console.warn('Failed to store age verification:', storageError);
+        }
+
+        this.ageVerified = true;
+        this.closeAgeGate(gate);
+        document.dispatchEvent(new CustomEvent('ageVerified'));
+    },
+
+    closeAgeGate(gate) {
+        if (this.ageGateObserver) {
+            this.ageGateObserver.disconnect();
+            this.ageGateObserver = null;
+        }
+
+        document.querySelectorAll('[data-age-gate-inert]').forEach(element => {
+            element.removeAttribute('inert');
+            delete element.dataset.ageGateInert;
+        });
+
+        document.body.classList.remove('age-gate-open');
+        gate.remove();
+
+        const main = document.getElementById('main-content');
+        if (main) {
+            main.setAttribute('tabindex', '-1');
+            main.focus({ preventScroll: true });
+        }
+    },
+
+    // Lazy loading implementation
+    setupLazyLoading() {
+        if ('IntersectionObserver' in window) {
+            const imageObserver = new IntersectionObserver((entries, observer) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const img = entry.target;
+                        
+                        // Load the image
+                        if (img.dataset.src) {
+                            img.src = img.dataset.src;
+                            img.classList.add('loaded');
+                            img.classList.remove('lazy');
+                            
+                            // Remove observer
+                            observer.unobserve(img);
+                            
+                            // Trigger custom event
+                            img.dispatchEvent(new CustomEvent('imageLoaded'));
+                        }
+                    }
+                });
+            }, this.config.lazyLoading);
+
+            // Observe all lazy images
+            document.querySelectorAll('img[data-src]').forEach(img => {
+                imageObserver.observe(img);
+            });
+        } else {
+            // Fallback for older browsers
+            document.querySelectorAll('img[data-src]').forEach(img => {
+                img.src = img.dataset.src;
+                img.classList.add('loaded');
+                img.classList.remove('lazy');
+            });
+        }
+    },
+
+    // Smooth scrolling for anchor links
+    setupSmoothScrolling() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (link) {
+                e.preventDefault();
+                const targetId = link.getAttribute('href').substring(1);
+                const targetElement = document.getElementById(targetId);
+                
+                if (targetElement) {
+                    targetElement.scrollIntoView({
+                        behavior: 'smooth',
+                        block: 'start'
+                    });
+                    
+                    // Update URL without triggering scroll
+                    history.pushState(null, null, `#${targetId}`);
+                }
+            }
+        });
+    },
+
+    // Form validation
+    setupFormValidation() {
+        const forms = document.querySelectorAll('form[data-validate]');
+        
+        forms.forEach(form => {
+            // The rules engine replaces the browser's own bubbles
+            form.noValidate = true;
+            
+            // Real-time validation; radio and checkbox groups report on their first control
+            const inputs = form.querySelectorAll('input, textarea, select');
+            inputs.forEach(input => {
+                input.addEventListener('blur', () => {
+                    this.validateField(this.validation.getGroupLead(input));
+                });
+                
+                input.addEventListener('input', () => {
+                    this.clearFieldError(this.validation.getGroupLead(input));
+                });
+            });
+        });
+
+        // On window, so it runs after every other submit listener. A form whose own handler
+        // cancelled the event (an AJAX form) keeps it and can call validateForm() itself.
+        // Native submits are held for the async rules and then sent with submit(), which
+        // fires no second "submit", so other listeners (analytics included) run once.
+        window.addEventListener('submit', async (e) => {
+            const form = e.target;
+
+            if (!form.matches || !form.matches('form[data-validate]') || e.defaultPrevented) {
+                return;
+            }
+
+            e.preventDefault();
+
+            // A submit while the last one is still validating
+            if (form.dataset.validating === 'true') {
+                return;
+            }
+
+            form.dataset.validating = 'true';
+            const valid = await this.validateForm(form);
+            delete form.dataset.validating;
+
+            if (valid) {
+                this.submitFormNatively(form, e.submitter);
+            }
+        });
+    },
+
+    // form.submit() skips the submitter, so carry its name/value in a hidden field
+    submitFormNatively(form, submitter) {
+        let submitterField = null;
+
+        if (submitter && submitter.name) {
+            submitterField = document.createElement('input');
+            submitterField.type = 'hidden';
+            submitterField.name = submitter.name;
+            submitterField.value = submitter.value;
+            form.appendChild(submitterField);
+        }
+
+        // The prototype call still works when a control is named "submit"
+        HTMLFormElement.prototype.submit.call(form);
+
+        if (submitterField) {
+            submitterField.remove();
+        }
+    },
+
+    // Validate individual field against its rules; resolves to true when valid
+    async validateField(field) {
+        if (!this.validation.isValidatable(field)) {
+            return true;
+        }
+
+        const run = (this.validationRuns.get(field) || 0) + 1;
+        this.validationRuns.set(field, run);
+
+        const value = this.validation.getValue(field);
+        let errorMessage = '';
+
+        for (const { name, args } of this.validation.parse(field)) {
+            const rule = this.validation.rules[name];
+
+            if (!rule) {
+                console.warn(`Unknown validation rule: ${name}`);
+                continue;
+            }
+
+            // Only "required" looks at empty values
+            if (!value && name !== 'required') {
+                continue;
+            }
+
+            let result;
+            try {
+                result = await rule.validate(value, args, field);
+            } catch (error) {
+                // A failing remote check must not block the form
+                console.error(`Validation rule "${name}" failed:`, error);
+                result = true;
+            }
+
+            if (result !== true) {
+                errorMessage = typeof result === 'string'
+                    ? result
+                    : this.getValidationMessage(field, name, args, rule);
+                break;
+            }
+        }
+
+        // A newer run started while this one awaited
+        if (this.validationRuns.get(field) !== run) {
+            return !errorMessage;
+        }
+
+        if (errorMessage) {
+            this.showFieldError(field, errorMessage);
+        } else {
+            this.clearFieldError(field);
+        }
+
+        return !errorMessage;
+    },
+
+    // Message lookup: data-msg-<rule> attribute, then locale file, then the rule default
+    getValidationMessage(field, name, args, rule) {
+        // Positional arguments fill {0}, {1}... placeholders
+        const params = { ...args };
+        const custom = field.getAttribute(`data-msg-${name}`);
+
+        if (custom) {
+            return this.interpolate(custom, params);
+        }
+
+        return this.t(`validation.${name}`, params, rule.message || this.t('validation.invalid', {}, 'القيمة غير صحيحة'));
+    },
+
+    // Show field error
+    showFieldError(field, message) {
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        
+        let errorElement = field.parentNode.querySelector('.field-error');
+        if (!errorElement) {
+            errorElement = document.createElement('span');
+            errorElement.className = 'field-error';
+            errorElement.id = `${this.validation.ensureId(field)}-error`;
+            field.parentNode.appendChild(errorElement);
+        }
+        
+        errorElement.textContent = message;
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+            describedBy.push(errorElement.id);
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        }
+    },
+
+    // Clear field error
+    clearFieldError(field) {
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+
+        const errorElement = field.parentNode.querySelector('.field-error');
+        if (errorElement) {
+            const describedBy = (field.getAttribute('aria-describedby') || '')
+                .split(/\s+/)
+                .filter(id => id && id !== errorElement.id);
+
+            if (describedBy.length) {
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+
+            errorElement.remove();
+        }
+    },
+
+    // Validate entire form, render the error summary and focus the first invalid field
+    async validateForm(form) {
+        // One entry per radio/checkbox group, so a required group reports a single error
+        const fields = Array.from(new Set(
+            Array.from(form.querySelectorAll('input, textarea, select')).map(field => this.validation.getGroupLead(field))
+        ));
+        const results = await Promise.all(fields.map(field => this.validateField(field)));
+        const invalidFields = fields.filter((field, index) => !results[index]);
+
+        this.renderErrorSummary(form, invalidFields);
+
+        if (invalidFields.length) {
+            invalidFields[0].focus();
+        }
+        
+        return invalidFields.length === 0;
+    },
+
+    // Summary of errors listed at the top of the form
+    renderErrorSummary(form, invalidFields) {
+        let summary = form.querySelector('.form-error-summary');
+
+        if (!invalidFields.length) {
+            if (summary) {
+                summary.remove();
+            }
+            return;
+        }
+
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'form-error-summary';
+            summary.setAttribute('role', 'alert');
+            summary.addEventListener('click', (e) => {
+                const link = e.target.closest('a[href^="#"]');
+                const field = link && form.querySelector(link.getAttribute('href'));
+
+                if (field) {
+                    e.preventDefault();
+                    field.focus();
+                }
+            });
+            form.prepend(summary);
+        }
+
+        summary.innerHTML = this.html`
+            <p class="form-error-summary__title">${this.t('validation.summary', { count: invalidFields.length }, 'يرجى تصحيح الأخطاء التالية:')}</p>
+            <ul class="form-error-summary__list">
+                ${invalidFields.map(field => this.html`
+                    <li>
+                        <a href="#${field.id}">${this.validation.getLabel(field)}: ${field.parentNode.querySelector('.field-error')?.textContent || ''}</a>
+                    </li>
+                `)}
+            </ul>
+        `;
+    },
+
+    // Declarative rules engine: data-rule="minlength:3|match:#password|saudi-id"
+    validation: {
+        rules: {},
+
+        // Register a rule; validate(value, args, field) returns true, false,
+        // a message string, or a promise of one of those
+        addRule(name, validate, message = '') {
+            this.rules[name] = { validate, message };
+            return this;
+        },
+
+        isValidatable(field) {
+            return !field.disabled
+                && !['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type);
+        },
+
+        // First control of a named radio/checkbox group, which carries the group's errors
+        getGroupLead(field) {
+            if ((field.type === 'checkbox' || field.type === 'radio') && field.form && field.name) {
+                return Array.from(field.form.elements).find(el => el.name === field.name && el.type === field.type) || field;
+            }
+
+            return field;
+        },
+
+        getValue(field) {
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                const group = field.form && field.name
+                    ? Array.from(field.form.elements).filter(el => el.name === field.name)
+                    : [field];
+                const checked = group.find(el => el.checked);
+                return checked ? checked.value : '';
+            }
+
+            return this.toLatinDigits(field.value.trim());
+        },
+
+        // Rules from attributes, with type/required attributes mapped to built-ins
+        parse(field) {
+            const rules = [];
+
+            if (field.required) {
+                rules.push({ name: 'required', args: [] });
+            }
+            if (field.type === 'email') {
+                rules.push({ name: 'email', args: [] });
+            }
+            if (field.type === 'tel') {
+                rules.push({ name: 'saudi-mobile', args: [] });
+            }
+
+            (field.dataset.rule || '').split('|').forEach(definition => {
+                const [name, ...rest] = definition.trim().split(':');
+
+                if (name && !rules.some(rule => rule.name === name)) {
+                    // Rejoin so URLs in arguments keep their colons
+                    const argument = rest.join(':');
+                    rules.push({ name, args: argument ? argument.split(',') : [] });
+                }
+            });
+
+            return rules;
+        },
+
+        ensureId(field) {
+            if (!field.id) {
+                field.id = `field-${field.name || 'input'}-${Math.random().toString(36).slice(2, 8)}`;
+            }
+            return field.id;
+        },
+
+        getLabel(field) {
+            const label = field.labels && field.labels[0];
+            return (label ? label.textContent : field.getAttribute('aria-label') || field.placeholder || field.name).trim();
+        },
+
+        // Arabic-Indic and Persian digits to ASCII
+        toLatinDigits(value) {
+            return value.replace(/[٠-٩۰-۹]/g, digit => String(digit.charCodeAt(0) & 0xF));
+        },
+
+        // ISO 13616 mod-97 check
+        isValidIBAN(value) {
+            const iban = value.replace(/\s+/g, '').toUpperCase();
+
+            if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban) || (iban.startsWith('SA') && iban.length !== 24)) {
+                return false;
+            }
+
+            const digits = (iban.slice(4) + iban.slice(0, 4))
+                .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+            let remainder = 0;
+            for (const digit of digits) {
+                remainder = (remainder * 10 + Number(digit)) % 97;
+            }
+
+            return remainder === 1;
+        },
+
+        // National ID (1...) or Iqama (2...) with its Luhn-style checksum
+        isValidSaudiId(value) {
+            if (!/^[12]\d{9}$/.test(value)) {
+                return false;
+            }
+
+            let sum = 0;
+            for (let i = 0; i < 10; i++) {
+                let digit = Number(value[i]);
+                if (i % 2 === 0) {
+                    digit *= 2;
+                    if (digit > 9) {
+                        digit -= 9;
+                    }
+                }
+                sum += digit;
+            }
+
+            return sum % 10 === 0;
+        },
+
+        // Server-side check: GET url?value=... answering { valid, message }
+        remoteCache: new Map(),
+
+        async checkRemote(url, field, value) {
+            const endpoint = new URL(url, window.location.origin);
+
+            if (endpoint.origin !== window.location.origin) {
+                throw new Error(`Remote validation must be same-origin: ${url}`);
+            }
+
+            endpoint.searchParams.set(field.dataset.remoteParam || field.name || 'value', value);
+
+            const cacheKey = endpoint.toString();
+            if (!this.remoteCache.has(cacheKey)) {
+                const request = fetch(cacheKey, {
+                    headers: {
+                        'Accept': 'application/json',
+                        'X-CSRF-TOKEN': VaperelaxTheme.getCSRFToken()
+                    }
+                })
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`Remote validation responded ${response.status}`);
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        this.remoteCache.delete(cacheKey);
+                        throw error;
+                    });
+
+                this.remoteCache.set(cacheKey, request);
+            }
+
+            const data = await this.remoteCache.get(cacheKey);
+            return data.valid === true || data.message || false;
+        }
+    },
+
+    // Register the built-in validation rules
+    setupValidationRules() {
+        const { validation } = this;
+
+        validation
+            .addRule('required', value => value !== '', 'هذا الحقل مطلوب')
+            .addRule('email', value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), 'يرجى إدخال بريد إلكتروني صحيح')
+            .addRule('saudi-mobile', value => /^(\+966|00966|0)?5[0-9]{8}$/.test(value.replace(/[\s-]/g, '')), 'يرجى إدخال رقم هاتف صحيح')
+            .addRule('minlength', (value, [min]) => value.length >= Number(min), 'يجب ألا يقل عن {0} أحرف')
+            .addRule('maxlength', (value, [max]) => value.length <= Number(max), 'يجب ألا يزيد عن {0} حرفاً')
+            .addRule('numeric', value => /^\d+$/.test(value), 'يرجى إدخال أرقام فقط')
+            .addRule('match', (value, [selector], field) => {
+                const other = (field.form || document).querySelector(selector);
+                return !other || value === validation.getValue(other);
+            }, 'القيمتان غير متطابقتين')
+            .addRule('saudi-id', value => validation.isValidSaudiId(value), 'يرجى إدخال رقم هوية أو إقامة صحيح')
+            .addRule('iban', value => validation.isValidIBAN(value), 'يرجى إدخال رقم آيبان صحيح')
+            .addRule('postal-code', value => /^\d{5}(-?\d{4})?$/.test(value), 'يرجى إدخال رمز بريدي صحيح من 5 أرقام')
+            .addRule('remote', (value, [url], field) => validation.checkRemote(url, field, value), 'هذه القيمة غير متاحة');
+    },
+
+    // Single delegated handler for every [data-action] element
+    setupActions() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-action]');
+
+            if (!trigger || trigger.disabled) {
+                return;
+            }
+
+            const handler = this.actionHandlers[trigger.dataset.action];
+
+            if (handler) {
+                // Card buttons sit inside the image link
+                e.preventDefault();
+                this[handler](trigger, e);
+            }
+        });
+    },
+
+    // Register a handler for data-action="name"
+    registerAction(name, method) {
+        this.actionHandlers[name] = method;
+    },
+
+    // Cart functionality
+    setupCartFunctionality() {
+        // Keep every open tab on the same cart
+        this.setupCartSync();
+
+        // Mini-cart drawer opened from the header
+        this.setupMiniCart();
+
+        // Hydrate cart state on page load
+        this.loadCart();
+    },
+
+    // Add product to cart; resolves to true once it is in the cart or queued for it
+    async addToCart(button) {
+        if (!this.ensureAgeVerified()) {
+            return false;
+        }
+
+        // Products with option axes need a complete combination
+        const container = button.closest('.product-card, .quick-view__content');
+        const variantState = container && this.getVariantState(container);
+
+        if (variantState && variantState.required && !variantState.variant) {
+            const missingAxis = variantState.selection.indexOf(null);
+            const firstOption = container.querySelector(`[data-action="select-option"][data-axis="${missingAxis}"]:not(:disabled)`);
+
+            this.showNotification(this.t('product.chooseOptions'), 'warning');
+            if (firstOption) {
+                firstOption.focus();
+            }
+            return false;
+        }
+
+        const productId = button.dataset.productId;
+        const variantId = button.dataset.variantId;
+        const quantity = button.dataset.quantity || 1;
+        let added = false;
+        
+        if (button.classList.contains('loading')) {
+            return false;
+        }
+        
+        button.classList.add('loading');
+
+        const payload = {
+            product_id: productId,
+            quantity: parseInt(quantity)
+        };
+
+        if (variantId) {
+            payload.variant_id = variantId;
+        }
+
+        try {
+            const data = await this.sendMutation('/api/cart/add', payload, {
+                type: 'cart-add',
+                dedupeKey: `cart-add:${productId}:${variantId || ''}`
+            });
+
+            added = Boolean(data.queued || data.success);
+
+            if (added) {
+                const item = this.getAnalyticsItemFromElement(button, productId, { quantity: payload.quantity });
+                if (variantId && !item.item_variant) {
+                    item.item_variant = String(variantId);
+                }
+                this.track('add_to_cart', this.getEcommerceParams([item]));
+            }
+
+            if (data.queued) {
+                this.applyOptimisticCartCount(payload.quantity);
+                this.showNotification(this.t('cart.queuedAdd'), 'warning', 4000);
+            } else if (data.success) {
+                if (data.cart) {
+                    this.setCart(data.cart);
+                } else {
+                    this.updateCartCount(data.cart_count);
+                    this.loadCart();
+                }
+
+                this.showNotification(this.t('cart.added'), 'success');
+
+                // Hand over from the quick view to the mini-cart
+                const quickView = button.closest('#quick-view');
+                if (quickView) {
+                    this.closeQuickView();
+                }
+                this.openMiniCart(quickView ? document.activeElement : button);
+                this.maybeShowPushSoftAsk('cart').catch(error => console.warn('Push prompt unavailable:', error));
+                
+                // Update button temporarily (restore the original nodes, not re-parsed markup)
+                const originalContent = Array.from(button.childNodes);
+                button.innerHTML = this.html`
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="20,6 9,17 4,12"></polyline>
+                    </svg>
+                    ${this.t('cart.addedShort')}
+                `;
+                
+                setTimeout(() => {
+                    button.replaceChildren(...originalContent);
+                }, 2000);
+                
+            } else {
+                this.showNotification(data.message || this.t('cart.addError'), 'error');
+            }
+            
+        } catch (error) {
+            console.error('Cart error:', error);
+            this.showNotification(this.t('cart.addError'), 'error');
+        } finally {
+            button.classList.remove('loading');
+        }
+
+        return added;
+    },
+
+    // Wishlist - kept on the device for guests, merged into the account on login
+    setupWishlist() {
+        const { customerId } = this.config.wishlist;
+        const store = this.getWishlistStore();
+
+        if (customerId && store.owner === null && store.items.length > 0) {
+            this.mergeGuestWishlist(store.items);
+        } else if (store.owner && store.owner !== customerId) {
+            // Signed out or another account: never show the previous list
+            this.storeWishlist({ owner: customerId, items: [] });
+        }
+
+        // Hearts are rendered by the server only for customers
+        if (!customerId) {
+            this.applyWishlistStates();
+        }
+
+        // Other tabs changed the list
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.config.wishlist.storageKey) {
+                return;
+            }
+
+            const parse = (value) => {
+                try {
+                    return (JSON.parse(value) || {}).items || [];
+                } catch (error) {
+                    return [];
+                }
+            };
+            const before = new Set(parse(e.oldValue).map(item => item.id));
+            const after = new Set(parse(e.newValue).map(item => item.id));
+
+            new Set([...before, ...after]).forEach(productId => {
+                if (before.has(productId) !== after.has(productId)) {
+                    this.setWishlistState(productId, after.has(productId));
+                }
+            });
+
+            this.refreshWishlistViews();
+        });
+
+        // Also fires once the first dictionary has loaded
+        document.addEventListener('localeChanged', () => this.refreshWishlistViews());
+
+        document.addEventListener('click', (e) => {
+            const moveButton = e.target.closest('[data-wishlist-move]');
+            const removeButton = e.target.closest('[data-wishlist-remove]');
+
+            if (moveButton) {
+                e.preventDefault();
+                this.moveWishlistItemToCart(moveButton);
+            } else if (removeButton) {
+                e.preventDefault();
+                this.setWishlisted(removeButton.dataset.productId, false);
+            } else if (e.target.closest('[data-wishlist-share]')) {
+                e.preventDefault();
+                this.shareWishlist();
+            }
+        });
+
+        const views = document.querySelectorAll('[data-wishlist-view]');
+        if (views.length > 0 && customerId && !this.getSharedWishlistIds()) {
+            this.syncAccountWishlist().finally(() => this.refreshWishlistViews());
+        }
+    },
+
+    getWishlistStore() {
+        try {
+            const store = JSON.parse(localStorage.getItem(this.config.wishlist.storageKey));
+            return store && Array.isArray(store.items) ? store : { owner: null, items: [] };
+        } catch (error) {
+            return { owner: null, items: [] };
+        }
+    },
+
+    storeWishlist(store) {
+        try {
+            localStorage.setItem(this.config.wishlist.storageKey, JSON.stringify(store));
+        } catch (error) {
+            console.warn('Failed to store wishlist:', error);
+        }
+
+        this.refreshWishlistViews();
+    },
+
+    // Card or quick view details, so the wishlist page can render without the API
+    getProductSnapshot(element, productId) {
+        const container = element && element.closest('.product-card, .quick-view__content');
+
+        if (!container) {
+            return { id: String(productId) };
+        }
+
+        const title = container.querySelector('.product-card__title-link, .quick-view__title');
+        const link = container.querySelector('.product-card__title-link, .quick-view__more');
+        const image = container.querySelector('.product-card__image, .quick-view__main-image');
+        const price = container.querySelector('.price-current[data-amount]');
+
+        return {
+            id: String(productId),
+            name: title ? title.textContent.trim() : '',
+            image: image ? (image.dataset.src || image.currentSrc || image.src) : null,
+            price: price ? price.dataset.amount : null,
+            currency: (price && price.dataset.currency) || this.config.money.currency,
+            url: link ? link.href : null,
+            isOutOfStock: Boolean(container.querySelector('.product-badge--out-of-stock, .quick-view__stock--out'))
+        };
+    },
+
+    updateLocalWishlist(productId, isActive, source = null) {
+        const store = this.getWishlistStore();
+        const items = store.items.filter(item => item.id !== String(productId));
+
+        if (isActive) {
+            items.unshift({ ...this.getProductSnapshot(source, productId), addedAt: Date.now() });
+        }
+
+        this.storeWishlist({ owner: this.config.wishlist.customerId, items });
+    },
+
+    applyWishlistStates() {
+        const ids = new Set(this.getWishlistStore().items.map(item => item.id));
+
+        document.querySelectorAll('[data-action="wishlist"]').forEach(button => {
+            this.setWishlistState(button.dataset.productId, ids.has(String(button.dataset.productId)));
+        });
+    },
+
+    // Toggle a product in the wishlist
+    async toggleWishlist(button) {
+        if (button.classList.contains('loading')) {
+            return;
+        }
+
+        button.classList.add('loading');
+
+        try {
+            await this.setWishlisted(button.dataset.productId, !button.classList.contains('active'), button);
+        } finally {
+            button.classList.remove('loading');
+        }
+    },
+
+    // Add or remove one product: on the device for guests, through the API for customers.
+    // The API toggles, so only call this when the state actually changes.
+    async setWishlisted(productId, isActive, source = null) {
+        if (!this.config.wishlist.customerId) {
+            this.updateLocalWishlist(productId, isActive, source);
+            this.setWishlistState(productId, isActive);
+            this.trackWishlistChange(productId, isActive, source);
+            this.showNotification(this.t(isActive ? 'wishlist.added' : 'wishlist.removed'), 'success');
+            return true;
+        }
+
+        try {
+            // Queued for background sync when offline
+            const data = await this.sendMutation('/api/wishlist/toggle', { product_id: productId }, {
+                type: 'wishlist-toggle',
+                dedupeKey: `wishlist-toggle:${productId}`
+            });
+
+            if (!data.queued && !data.success) {
+                this.showNotification(data.message || this.t('common.error'), 'error');
+                return false;
+            }
+
+            this.updateLocalWishlist(productId, isActive, source);
+            this.setWishlistState(productId, isActive);
+            this.trackWishlistChange(productId, isActive, source);
+
+            if (data.queued) {
+                this.showNotification(this.t('wishlist.queued'), 'info');
+            } else {
+                this.showNotification(this.t(isActive ? 'wishlist.added' : 'wishlist.removed'), 'success');
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Wishlist error:', error);
+            this.showNotification(this.t('common.error'), 'error');
+            return false;
+        }
+    },
+
+    trackWishlistChange(productId, isActive, source) {
+        if (isActive) {
+            this.track('add_to_wishlist', this.getEcommerceParams([this.getAnalyticsItemFromElement(source, productId)]));
+        }
+    },
+
+    // Reflect wishlist state on every heart for this product
+    setWishlistState(productId, isActive) {
+        document.querySelectorAll(`[data-action="wishlist"][data-product-id="${productId}"]`).forEach(button => {
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+            button.setAttribute('aria-label', this.t(isActive ? 'wishlist.remove' : 'wishlist.add'));
+        });
+    },
+
+    // Favorites saved as a guest move into the account after login
+    async mergeGuestWishlist(items) {
+        const { customerId } = this.config.wishlist;
+
+        try {
+            const data = await this.sendMutation('/api/wishlist/merge', {
+                product_ids: items.map(item => item.id)
+            }, {
+                type: 'wishlist-merge',
+                dedupeKey: 'wishlist-merge'
+            });
+
+            if (!data.queued && !data.success) {
+                // Left on the device; retried on the next page load
+                return;
+            }
+
+            this.storeWishlist({ owner: customerId, items });
+            items.forEach(item => this.setWishlistState(item.id, true));
+            this.showNotification(this.t('wishlist.merged', { count: items.length }), 'success');
+        } catch (error) {
+            console.error('Wishlist merge error:', error);
+        }
+    },
+
+    // Customers' lists live on the server; refresh the device copy for the wishlist page
+    async syncAccountWishlist() {
+        try {
+            const response = this.trackDataFreshness('wishlist', await fetch('/api/wishlist'));
+            const data = await response.json();
+
+            if (data.success && Array.isArray(data.items)) {
+                this.storeWishlist({
+                    owner: this.config.wishlist.customerId,
+                    items: data.items.map(product => this.toProductSnapshot(product))
+                });
+            }
+        } catch (error) {
+            console.error('Wishlist load error:', error);
+        }
+    },
+
+    refreshWishlistViews() {
+        document.querySelectorAll('[data-wishlist-view]').forEach(container => {
+            this.renderWishlistView(container);
+        });
+    },
+
+    // Wishlist page: <div data-wishlist-view></div>; ?shared=<ids> shows someone else's list
+    async renderWishlistView(container) {
+        const sharedIds = this.getSharedWishlistIds();
+
+        if (sharedIds) {
+            await this.renderSharedWishlist(container, sharedIds);
+            return;
+        }
+
+        const { items } = this.getWishlistStore();
+
+        container.innerHTML = this.html`
+            <div class="wishlist-view__header">
+                <h1 class="wishlist-view__title">${this.t('wishlist.title')}</h1>
+                ${items.length > 0 ? this.html`
+                    <button type="button" class="btn btn-outline wishlist-view__share" data-wishlist-share>${this.t('wishlist.share')}</button>
+                ` : ''}
+            </div>
+            ${items.length > 0 ? this.html`
+                <div class="products-grid">
+                    ${items.map(product => this.renderProductCard(product, this.html`
+                        <button type="button" class="btn btn-primary" data-wishlist-move data-product-id="${product.id}" ${product.isOutOfStock ? 'disabled' : ''}>
+                            ${this.t('wishlist.moveToCart')}
+                        </button>
+                        <button type="button" class="wishlist-view__remove" data-wishlist-remove data-product-id="${product.id}">
+                            ${this.t('wishlist.remove')}
+                        </button>
+                    `))}
+                </div>
+            ` : this.html`<p class="wishlist-view__empty">${this.t('wishlist.empty')}</p>`}
+        `;
+
+        this.observeItemLists(container);
+    },
+
+    async renderSharedWishlist(container, ids) {
+        if (!container.dataset.sharedLoaded) {
+            container.innerHTML = this.html`<div class="wishlist-view__loading" role="status">${this.t('common.loading')}</div>`;
+        }
+
+        const results = await Promise.allSettled(ids.map(id => this.fetchQuickViewProduct(id)));
+        const products = results
+            .filter(result => result.status === 'fulfilled')
+            .map(result => this.toProductSnapshot(result.value));
+
+        container.dataset.sharedLoaded = 'true';
+        container.innerHTML = this.html`
+            <div class="wishlist-view__header">
+                <h1 class="wishlist-view__title">${this.t('wishlist.sharedTitle')}</h1>
+            </div>
+            ${products.length > 0 ? this.html`
+                <div class="products-grid">
+                    ${products.map(product => this.renderProductCard(product))}
+                </div>
+            ` : this.html`<p class="wishlist-view__empty">${this.t('wishlist.sharedEmpty')}</p>`}
+        `;
+
+        this.applyRestockStates(container);
+        this.observeItemLists(container);
+    },
+
+    async moveWishlistItemToCart(button) {
+        const { productId } = button.dataset;
+
+        if (await this.addToCart(button)) {
+            await this.setWishlisted(productId, false);
+        }
+    },
+
+    // Link carrying the product ids, e.g. /wishlist?shared=MTIsMzQ
+    async shareWishlist() {
+        const ids = this.getWishlistStore().items.map(item => item.id);
+        const url = new URL(this.config.wishlist.pageUrl, window.location.origin);
+
+        url.searchParams.set('shared', this.encodeWishlistIds(ids));
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: this.t('wishlist.shareTitle'), url: url.href });
+                this.track('share', { method: 'native', content_type: 'wishlist' });
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.warn('Share failed:', error);
+                }
+            }
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url.href);
+            this.showNotification(this.t('wishlist.linkCopied'), 'success');
+            this.track('share', { method: 'clipboard', content_type: 'wishlist' });
+        } catch (error) {
+            window.prompt(this.t('wishlist.shareTitle'), url.href);
+        }
+    },
+
+    // URL-safe base64 of "id,id,..."
+    encodeWishlistIds(ids) {
+        return btoa(ids.join(','))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    },
+
+    decodeWishlistIds(value) {
+        try {
+            return atob(value.replace(/-/g, '+').replace(/_/g, '/'))
+                .split(',')
+                .filter(id => /^[\w-]+$/.test(id))
+                .slice(0, this.config.wishlist.shareLimit);
+        } catch (error) {
+            return [];
+        }
+    },
+
+    getSharedWishlistIds() {
+        const shared = new URLSearchParams(window.location.search).get('shared');
+        return shared ? this.decodeWishlistIds(shared) : null;
+    },
+
+    // Product comparison - up to config.compare.limit products kept in localStorage,
+    // a sticky bar while collecting and a spec table built from product attributes
+    setupCompare() {
+        this.applyCompareStates();
+        this.renderCompareBar();
+
+        // Other tabs changed the selection
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.config.compare.storageKey) {
+                this.refreshCompareViews();
+            }
+        });
+
+        // Also fires once the first dictionary has loaded
+        document.addEventListener('localeChanged', () => this.refreshCompareViews());
+
+        document.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-compare-remove]');
+
+            if (removeButton) {
+                e.preventDefault();
+                this.setCompared(removeButton.dataset.productId, false);
+            } else if (e.target.closest('[data-compare-open]')) {
+                e.preventDefault();
+                this.openCompare();
+            } else if (e.target.closest('[data-compare-clear]')) {
+                e.preventDefault();
+                this.storeCompareItems([]);
+            }
+        });
+    },
+
+    getCompareItems() {
+        try {
+            const items = JSON.parse(localStorage.getItem(this.config.compare.storageKey));
+            return Array.isArray(items) ? items : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    storeCompareItems(items) {
+        try {
+            localStorage.setItem(this.config.compare.storageKey, JSON.stringify(items));
+        } catch (error) {
+            console.warn('Failed to store compare list:', error);
+        }
+
+        this.refreshCompareViews();
+    },
+
+    refreshCompareViews() {
+        const items = this.getCompareItems();
+
+        this.applyCompareStates();
+        this.renderCompareBar(items);
+
+        const modal = document.getElementById('compare-modal');
+        if (modal && modal.classList.contains('active')) {
+            if (items.length > 0) {
+                this.renderCompareTable(modal);
+            } else {
+                this.closeCompare();
+            }
+        }
+    },
+
+    applyCompareStates(root = document) {
+        const ids = new Set(this.getCompareItems().map(item => item.id));
+
+        root.querySelectorAll('[data-action="compare"]').forEach(button => {
+            const isActive = ids.has(String(button.dataset.productId));
+
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+            button.setAttribute('aria-label', this.t(isActive ? 'compare.remove' : 'compare.add'));
+        });
+    },
+
+    toggleCompare(button) {
+        this.setCompared(button.dataset.productId, button.getAttribute('aria-pressed') !== 'true', button);
+    },
+
+    setCompared(productId, isActive, source = null) {
+        const { limit } = this.config.compare;
+        const items = this.getCompareItems().filter(item => item.id !== String(productId));
+
+        if (isActive) {
+            if (items.length >= limit) {
+                this.showNotification(this.t('compare.limitReached', { count: limit }), 'warning');
+                return;
+            }
+
+            const snapshot = this.getProductSnapshot(source, productId);
+            items.push({ ...snapshot, addedAt: Date.now() });
+            this.track('add_to_compare', { items: [this.getAnalyticsItem(snapshot)] });
+        }
+
+        this.storeCompareItems(items);
+        this.announceToScreenReader(this.t('compare.count', { count: items.length, limit }));
+    },
+
+    renderCompareBar(items = this.getCompareItems()) {
+        let bar = document.getElementById('compare-bar');
+
+        if (items.length === 0) {
+            if (bar) {
+                bar.remove();
+                document.body.classList.remove('has-compare-bar');
+            }
+            return;
+        }
+
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'compare-bar';
+            bar.className = 'compare-bar';
+            bar.setAttribute('role', 'region');
+            document.body.appendChild(bar);
+            document.body.classList.add('has-compare-bar');
+        }
+
+        const { limit } = this.config.compare;
+        const emptySlots = Array.from({ length: Math.max(limit - items.length, 0) });
+
+        bar.setAttribute('aria-label', this.t('compare.title'));
+        bar.innerHTML = this.html`
+            <ul class="compare-bar__items">
+                ${items.map(item => this.html`
+                    <li class="compare-bar__item">
+                        <img src="${item.image || '/assets/images/placeholder-product.jpg'}" alt="${item.name}" class="compare-bar__image" width="48" height="48">
+                        <button type="button" class="compare-bar__remove" data-compare-remove data-product-id="${item.id}" aria-label="${this.t('compare.removeItem', { name: item.name })}">×</button>
+                    </li>
+                `)}
+                ${emptySlots.map(() => this.html`<li class="compare-bar__item compare-bar__item--empty" aria-hidden="true"></li>`)}
+            </ul>
+            <span class="compare-bar__count">${this.t('compare.count', { count: items.length, limit })}</span>
+            <div class="compare-bar__actions">
+                <button type="button" class="btn btn-primary" data-compare-open ${items.length < 2 ? 'disabled' : ''}>${this.t('compare.open')}</button>
+                <button type="button" class="compare-bar__clear" data-compare-clear>${this.t('compare.clear')}</button>
+            </div>
+        `;
+    },
+
+    openCompare() {
+        const items = this.getCompareItems();
+
+        if (items.length < 2) {
+            return;
+        }
+
+        const modal = this.getCompareModal();
+        this.compareTrigger = document.activeElement;
+
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        modal.querySelector('.compare__close').focus();
+
+        this.renderCompareTable(modal);
+        this.track('compare_products', { items: items.map(item => this.getAnalyticsItem(item)) });
+    },
+
+    getCompareModal() {
+        let modal = document.getElementById('compare-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'compare-modal';
+            modal.className = 'modal compare';
+            modal.setAttribute('aria-hidden', 'true');
+            modal.innerHTML = this.html`
+                <div class="compare__backdrop" data-compare-close></div>
+                <div class="compare__drawer" role="dialog" aria-modal="true" aria-labelledby="compare-title">
+                    <div class="compare__header">
+                        <h2 class="compare__title" id="compare-title">${this.t('compare.title')}</h2>
+                        <label class="compare__differences">
+                            <input type="checkbox" data-compare-differences>
+                            ${this.t('compare.differencesOnly')}
+                        </label>
+                        <button type="button" class="compare__close" data-compare-close aria-label="${this.t('common.close')}">×</button>
+                    </div>
+                    <div class="compare__content"></div>
+                </div>
+            `;
+
+            modal.addEventListener('click', (e) => {
+                if (e.target.closest('[data-compare-close]')) {
+                    this.closeCompare();
+                }
+            });
+
+            modal.querySelector('[data-compare-differences]').addEventListener('change', (e) => {
+                modal.classList.toggle('compare--differences-only', e.target.checked);
+            });
+
+            // Escape and closeAllModals() go through the same cleanup
+            modal.addEventListener('modalClosed', () => this.onCompareClosed());
+
+            document.body.appendChild(modal);
+        }
+
+        return modal;
+    },
+
+    // Stored snapshots render straight away; full products (with attributes) replace them
+    async renderCompareTable(modal) {
+        const content = modal.querySelector('.compare__content');
+        const items = this.getCompareItems();
+        const renderId = (this.compareRenderId || 0) + 1;
+        this.compareRenderId = renderId;
+
+        content.setAttribute('aria-busy', 'true');
+        if (!content.querySelector('.compare-table')) {
+            content.innerHTML = this.html`<p class="compare__loading">${this.t('common.loading')}</p>`;
+        }
+
+        const results = await Promise.allSettled(items.map(item => this.fetchQuickViewProduct(item.id)));
+
+        // A newer render (removal, other tab) has started meanwhile
+        if (renderId !== this.compareRenderId) {
+            return;
+        }
+
+        const products = items.map((item, index) => {
+            const result = results[index];
+            const product = result.status === 'fulfilled' && result.value
+                ? { ...item, ...this.toProductSnapshot(result.value), rating: result.value.rating, brand: result.value.brand }
+                : item;
+
+            return {
+                ...product,
+                specs: result.status === 'fulfilled' && result.value ? this.getProductSpecs(result.value) : new Map()
+            };
+        });
+
+        const rows = this.getCompareRows(products);
+        const unavailable = this.t('compare.notAvailable');
+
+        content.removeAttribute('aria-busy');
+        content.innerHTML = this.html`
+            <div class="compare__scroll" role="region" aria-labelledby="compare-title" tabindex="0">
+                <table class="compare-table">
+                    <thead>
+                        <tr>
+                            <th scope="col" class="compare-table__label"><span class="sr-only">${this.t('compare.feature')}</span></th>
+                            ${products.map(product => this.html`
+                                <th scope="col" class="compare-table__product">
+                                    <button type="button" class="compare-table__remove" data-compare-remove data-product-id="${product.id}" aria-label="${this.t('compare.removeItem', { name: product.name })}">×</button>
+                                    <a href="${product.url}" class="compare-table__link">
+                                        <img src="${product.image || '/assets/images/placeholder-product.jpg'}" alt="" class="compare-table__image" width="120" height="120" loading="lazy">
+                                        <span class="compare-table__name">${product.name}</span>
+                                    </a>
+                                </th>
+                            `)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => this.html`
+                            <tr class="compare-table__row ${row.isDifferent ? 'is-different' : ''}">
+                                <th scope="row" class="compare-table__label">${row.label}</th>
+                                ${row.cells.map(cell => this.html`<td>${cell === null ? unavailable : cell}</td>`)}
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+            ${rows.some(row => row.isDifferent) ? '' : this.html`<p class="compare__same">${this.t('compare.noDifferences')}</p>`}
+        `;
+    },
+
+    // Fixed rows first, then every attribute any of the products has, in first-seen order
+    getCompareRows(products) {
+        const rows = [
+            {
+                label: this.t('compare.price'),
+                values: products.map(product => product.price === null || product.price === undefined ? null : Number(product.price)),
+                cells: products.map(product => product.price === null || product.price === undefined ? null : this.html`
+                    <span class="price-current" data-amount="${product.price}" data-currency="${product.currency}">${this.formatMoney(product.price, product.currency)}</span>
+                `)
+            },
+            {
+                label: this.t('compare.brand'),
+                values: products.map(product => (product.brand && product.brand.name) || null)
+            },
+            {
+                label: this.t('compare.rating'),
+                values: products.map(product => product.rating ? this.formatNumber(product.rating, { maximumFractionDigits: 1 }) : null)
+            },
+            {
+                label: this.t('compare.availability'),
+                values: products.map(product => this.t(product.isOutOfStock ? 'product.outOfStock' : 'product.inStock'))
+            }
+        ];
+
+        const names = [];
+        products.forEach(product => {
+            product.specs.forEach((value, name) => {
+                if (!names.includes(name)) {
+                    names.push(name);
+                }
+            });
+        });
+
+        names.forEach(name => {
+            rows.push({
+                label: name,
+                values: products.map(product => product.specs.has(name) ? product.specs.get(name) : null)
+            });
+        });
+
+        return rows
+            .filter(row => row.values.some(value => value !== null))
+            .map(row => {
+                const distinct = new Set(row.values.map(value => value === null ? null : String(value).trim().toLowerCase()));
+
+                return {
+                    label: row.label,
+                    cells: row.cells || row.values,
+                    isDifferent: distinct.size > 1
+                };
+            });
+    },
+
+    // Attributes come as [{ name, value }] or { name: value }; list values are joined
+    getProductSpecs(product) {
+        const source = product.attributes || product.specs || [];
+        const entries = Array.isArray(source)
+            ? source.map(attribute => [attribute.name, attribute.value])
+            : Object.entries(source);
+        const list = new Intl.ListFormat(this.getFormatLocale(), { type: 'unit' });
+
+        return new Map(entries
+            .filter(([name, value]) => name && value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => [String(name).trim(), Array.isArray(value) ? list.format(value.map(String)) : String(value).trim()]));
+    },
+
+    closeCompare() {
+        const modal = document.getElementById('compare-modal');
+
+        if (modal && modal.classList.contains('active')) {
+            modal.classList.remove('active');
+            this.onCompareClosed();
+        }
+    },
+
+    onCompareClosed() {
+        const modal = document.getElementById('compare-modal');
+        modal.setAttribute('aria-hidden', 'true');
+        this.compareRenderId = (this.compareRenderId || 0) + 1;
+
+        if (this.compareTrigger && document.contains(this.compareTrigger)) {
+            this.compareTrigger.focus();
+        }
+        this.compareTrigger = null;
+    },
+
+    // Loyalty program - header balance, points-to-earn on cards and in the cart, and a
+    // modal with tier progress, history and redemptions applied to the cart
+    setupLoyalty() {
+        if (!this.config.loyalty.enabled) {
+            return;
+        }
+
+        document.addEventListener('cartUpdated', () => this.renderLoyaltyCartPoints());
+
+        // Also fires once the first dictionary has loaded
+        document.addEventListener('localeChanged', () => this.refreshLoyaltyViews());
+
+        this.loadLoyalty();
+    },
+
+    async loadLoyalty() {
+        try {
+            const response = this.trackDataFreshness('loyalty', await fetch(this.config.loyalty.endpoint));
+            const data = await response.json();
+
+            if (data.success && data.loyalty) {
+                this.loyaltyState = this.normalizeLoyalty(data.loyalty);
+            }
+        } catch (error) {
+            console.error('Failed to load loyalty program:', error);
+        }
+
+        this.refreshLoyaltyViews();
+        return this.loyaltyState;
+    },
+
+    // API payload -> { earnRate, member: { balance, tier, nextTier, tierPoints } | null, redemptions, appliedRedemption }
+    normalizeLoyalty(raw = {}) {
+        const member = raw.member || null;
+
+        return {
+            earnRate: Number(raw.earn_rate) || this.config.loyalty.earnRate,
+            member: member ? {
+                balance: parseInt(member.balance, 10) || 0,
+                // { name, multiplier }
+                tier: member.tier || null,
+                // { name, points_required }
+                nextTier: member.next_tier || null,
+                tierPoints: parseInt(member.tier_points, 10) || 0
+            } : null,
+            redemptions: (raw.redemptions || []).map(option => ({
+                id: String(option.id),
+                points: parseInt(option.points, 10) || 0,
+                value: this.parseAmount(option.value),
+                currency: option.currency || this.config.money.currency
+            })),
+            appliedRedemption: raw.applied_redemption ? String(raw.applied_redemption) : null
+        };
+    },
+
+    // Points earned on an amount; members earn at their tier's multiplier
+    getLoyaltyPoints(amount) {
+        const value = this.parseAmount(amount);
+
+        if (!this.config.loyalty.enabled || !(value > 0)) {
+            return 0;
+        }
+
+        const state = this.loyaltyState;
+        const earnRate = state ? state.earnRate : this.config.loyalty.earnRate;
+        const tier = state && state.member && state.member.tier;
+        const multiplier = (tier && Number(tier.multiplier)) || 1;
+
+        return Math.floor(value * earnRate * multiplier);
+    },
+
+    refreshLoyaltyViews() {
+        const member = this.loyaltyState && this.loyaltyState.member;
+
+        document.querySelectorAll('[data-loyalty-balance]').forEach(element => {
+            element.hidden = !member;
+            element.textContent = member ? this.formatNumber(member.balance) : '';
+        });
+
+        document.querySelectorAll('[data-action="open-loyalty"]').forEach(button => {
+            if (member) {
+                button.setAttribute('aria-label', this.t('loyalty.balanceLabel', { count: member.balance }));
+            } else {
+                button.removeAttribute('aria-label');
+            }
+        });
+
+        this.applyLoyaltyPoints();
+        this.renderLoyaltyCartPoints();
+
+        const modal = document.getElementById('loyalty-modal');
+        if (modal && modal.classList.contains('active')) {
+            this.renderLoyalty(modal);
+        }
+    },
+
+    // [data-loyalty-points] inside a card follows that card's current price
+    applyLoyaltyPoints(root = document) {
+        root.querySelectorAll('[data-loyalty-points]').forEach(element => {
+            const container = element.closest('.product-card, .quick-view__content');
+            const price = container && container.querySelector('.price-current[data-amount]');
+            const points = this.getLoyaltyPoints(price ? price.dataset.amount : element.dataset.amount);
+
+            element.hidden = points === 0;
+            element.textContent = points > 0 ? this.t('loyalty.earnPoints', { count: points }) : '';
+        });
+    },
+
+    renderLoyaltyCartPoints(root = document) {
+        const { items, subtotal, loyaltyDiscount } = this.cartState;
+        const points = items.length > 0 ? this.getLoyaltyPoints(subtotal - loyaltyDiscount) : 0;
+
+        root.querySelectorAll('[data-loyalty-cart-points]').forEach(element => {
+            element.hidden = points === 0;
+            element.textContent = points > 0 ? this.t('loyalty.cartEarn', { count: points }) : '';
+        });
+    },
+
+    async openLoyalty(button) {
+        const modal = this.getLoyaltyModal();
+
+        this.loyaltyTrigger = button;
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        modal.querySelector('.loyalty__close').focus();
+
+        if (!this.loyaltyState) {
+            modal.querySelector('.loyalty__content').innerHTML = this.html`
+                <h2 class="loyalty__title" id="loyalty-title">${this.t('loyalty.title')}</h2>
+                <p class="loyalty__loading">${this.t('common.loading')}</p>
+            `;
+            await this.loadLoyalty();
+        }
+
+        this.renderLoyalty(modal);
+        this.track('view_loyalty', { is_member: Boolean(this.loyaltyState && this.loyaltyState.member) });
+
+        if (this.loyaltyState && this.loyaltyState.member) {
+            this.loadLoyaltyHistory({ reset: true });
+        }
+    },
+
+    getLoyaltyModal() {
+        let modal = document.getElementById('loyalty-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'loyalty-modal';
+            modal.className = 'modal loyalty';
+            modal.setAttribute('aria-hidden', 'true');
+            modal.innerHTML = this.html`
+                <div class="loyalty__backdrop" data-loyalty-close></div>
+                <div class="loyalty__dialog" role="dialog" aria-modal="true" aria-labelledby="loyalty-title">
+                    <button type="button" class="loyalty__close" data-loyalty-close aria-label="${this.t('common.close')}">×</button>
+                    <div class="loyalty__content"></div>
+                </div>
+            `;
+
+            modal.addEventListener('click', (e) => {
+                const redeemButton = e.target.closest('[data-loyalty-redeem]');
+                const removeButton = e.target.closest('[data-loyalty-remove-redemption]');
+
+                if (e.target.closest('[data-loyalty-close]')) {
+                    this.closeLoyalty();
+                } else if (redeemButton) {
+                    this.redeemLoyaltyPoints(redeemButton, true);
+                } else if (removeButton) {
+                    this.redeemLoyaltyPoints(removeButton, false);
+                } else if (e.target.closest('[data-loyalty-history-more]')) {
+                    this.loadLoyaltyHistory();
+                }
+            });
+
+            // Escape and closeAllModals() go through the same cleanup
+            modal.addEventListener('modalClosed', () => this.onLoyaltyClosed());
+
+            document.body.appendChild(modal);
+        }
+
+        return modal;
+    },
+
+    renderLoyalty(modal) {
+        const content = modal.querySelector('.loyalty__content');
+        const state = this.loyaltyState;
+
+        if (!state) {
+            content.innerHTML = this.html`
+                <h2 class="loyalty__title" id="loyalty-title">${this.t('loyalty.title')}</h2>
+                <p class="loyalty__loading">${this.t('loyalty.unavailable')}</p>
+            `;
+            return;
+        }
+
+        if (!state.member) {
+            content.innerHTML = this.html`
+                <h2 class="loyalty__title" id="loyalty-title">${this.t('loyalty.title')}</h2>
+                <p class="loyalty__description">
+                    ${this.t('loyalty.guestIntro', { count: state.earnRate, amount: this.formatMoney(1) })}
+                </p>
+                <a href="${this.config.loyalty.signupUrl}" class="btn btn-primary loyalty__join">${this.t('loyalty.join')}</a>
+            `;
+            return;
+        }
+
+        const { balance, tier, nextTier, tierPoints } = state.member;
+        const required = nextTier ? parseInt(nextTier.points_required, 10) || 0 : 0;
+        const progress = required > 0 ? Math.min(100, Math.round((tierPoints / required) * 100)) : 100;
+        const cartIsEmpty = this.cartState.items.length === 0;
+
+        content.innerHTML = this.html`
+            <h2 class="loyalty__title" id="loyalty-title">${this.t('loyalty.title')}</h2>
+            <div class="loyalty__summary">
+                <p class="loyalty__balance">
+                    <span class="loyalty__balance-value">${this.formatNumber(balance)}</span>
+                    ${this.t('loyalty.pointsUnit', { count: balance })}
+                </p>
+                ${tier ? this.html`<p class="loyalty__tier">${this.t('loyalty.tier', { tier: tier.name })}</p>` : ''}
+                ${nextTier ? this.html`
+                    <div class="loyalty__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress}" aria-label="${this.t('loyalty.progressLabel', { tier: nextTier.name })}">
+                        <span class="loyalty__progress-bar" style="width: ${progress}%"></span>
+                    </div>
+                    <p class="loyalty__next-tier">
+                        ${this.t('loyalty.toNextTier', { count: Math.max(required - tierPoints, 0), tier: nextTier.name })}
+                    </p>
+                ` : this.html`<p class="loyalty__next-tier">${this.t('loyalty.topTier')}</p>`}
+            </div>
+            <section class="loyalty__section" aria-labelledby="loyalty-redeem-title">
+                <h3 class="loyalty__section-title" id="loyalty-redeem-title">${this.t('loyalty.redeemTitle')}</h3>
+                ${cartIsEmpty ? this.html`<p class="loyalty__hint">${this.t('loyalty.redeemEmptyCart')}</p>` : ''}
+                ${state.redemptions.length === 0 ? this.html`<p class="loyalty__hint">${this.t('loyalty.noRedemptions')}</p>` : this.html`
+                    <ul class="loyalty__redemptions">
+                        ${state.redemptions.map(option => this.html`
+                            <li class="loyalty__redemption ${option.id === state.appliedRedemption ? 'is-applied' : ''}">
+                                <span class="loyalty__redemption-label">
+                                    ${this.t('loyalty.redeemOption', { count: option.points, amount: this.formatMoney(option.value, option.currency) })}
+                                </span>
+                                ${option.id === state.appliedRedemption ? this.html`
+                                    <button type="button" class="btn btn-outline" data-loyalty-remove-redemption data-option-id="${option.id}">${this.t('loyalty.removeRedemption')}</button>
+                                ` : this.html`
+                                    <button type="button" class="btn btn-primary" data-loyalty-redeem data-option-id="${option.id}" ${cartIsEmpty || state.appliedRedemption || balance < option.points ? 'disabled' : ''}>${this.t('loyalty.redeem')}</button>
+                                `}
+                            </li>
+                        `)}
+                    </ul>
+                `}
+            </section>
+            <section class="loyalty__section" aria-labelledby="loyalty-history-title">
+                <h3 class="loyalty__section-title" id="loyalty-history-title">${this.t('loyalty.historyTitle')}</h3>
+                <ul class="loyalty__history"></ul>
+                <button type="button" class="loyalty__more" data-loyalty-history-more hidden>${this.t('loyalty.loadMore')}</button>
+            </section>
+        `;
+
+        this.renderLoyaltyHistory(modal);
+    },
+
+    // Pages of { id, points (negative when spent), description, created_at }
+    async loadLoyaltyHistory({ reset = false } = {}) {
+        const history = this.loyaltyHistory;
+
+        if (history.loading) {
+            return;
+        }
+
+        if (reset) {
+            Object.assign(history, { items: [], page: 0, hasMore: false });
+        }
+
+        history.loading = true;
+        this.renderLoyaltyHistory();
+
+        try {
+            const response = await fetch(`${this.config.loyalty.endpoint}/history?page=${history.page + 1}`);
+            const data = await response.json();
+
+            if (data.success && data.history) {
+                history.items = history.items.concat(data.history.items || []);
+                history.page += 1;
+                history.hasMore = Boolean(data.history.has_more);
+            }
+        } catch (error) {
+            console.error('Failed to load loyalty history:', error);
+        } finally {
+            history.loading = false;
+            this.renderLoyaltyHistory();
+        }
+    },
+
+    renderLoyaltyHistory(modal = document.getElementById('loyalty-modal')) {
+        const list = modal && modal.querySelector('.loyalty__history');
+
+        if (!list) {
+            return;
+        }
+
+        const { items, hasMore, loading } = this.loyaltyHistory;
+
+        if (items.length === 0) {
+            list.innerHTML = this.html`
+                <li class="loyalty__entry loyalty__entry--empty">${this.t(loading ? 'common.loading' : 'loyalty.historyEmpty')}</li>
+            `;
+        } else {
+            list.innerHTML = this.html`${items.map(entry => this.html`
+                <li class="loyalty__entry ${Number(entry.points) < 0 ? 'loyalty__entry--spent' : 'loyalty__entry--earned'}">
+                    <span class="loyalty__entry-description">${entry.description}</span>
+                    <time class="loyalty__entry-date" datetime="${entry.created_at}">${this.formatDate(entry.created_at)}</time>
+                    <span class="loyalty__entry-points">${this.formatNumber(Number(entry.points), { signDisplay: 'always' })}</span>
+                </li>
+            `)}`;
+        }
+
+        const more = modal.querySelector('[data-loyalty-history-more]');
+        more.hidden = !hasMore;
+        more.disabled = loading;
+    },
+
+    // Apply (or take back) a redemption on the cart; never queued, points must not be spent offline
+    async redeemLoyaltyPoints(button, apply) {
+        const { endpoint } = this.config.loyalty;
+        const optionId = button.dataset.optionId;
+
+        if (button.classList.contains('loading')) {
+            return;
+        }
+
+        button.classList.add('loading');
+        button.disabled = true;
+
+        try {
+            const data = await this.sendMutation(apply ? `${endpoint}/redeem` : `${endpoint}/redeem/remove`, {
+                option_id: optionId
+            });
+
+            if (!data.success) {
+                throw new Error(data.message || 'Redemption failed');
+            }
+
+            if (data.cart) {
+                this.setCart(data.cart);
+            }
+
+            if (data.loyalty) {
+                this.loyaltyState = this.normalizeLoyalty(data.loyalty);
+                this.refreshLoyaltyViews();
+            } else {
+                await this.loadLoyalty();
+            }
+
+            this.loadLoyaltyHistory({ reset: true });
+            this.showNotification(this.t(apply ? 'loyalty.redeemed' : 'loyalty.redemptionRemoved'), 'success');
+
+            if (apply) {
+                const option = this.loyaltyState.redemptions.find(entry => entry.id === optionId);
+                this.track('redeem_points', { points: option ? option.points : undefined });
+            }
+        } catch (error) {
+            console.error('Loyalty redemption failed:', error);
+            this.showNotification(this.t('loyalty.redeemFailed'), 'error');
+            button.disabled = false;
+        } finally {
+            button.classList.remove('loading');
+        }
+    },
+
+    closeLoyalty() {
+        const modal = document.getElementById('loyalty-modal');
+
+        if (modal && modal.classList.contains('active')) {
+            modal.classList.remove('active');
+            this.onLoyaltyClosed();
+        }
+    },
+
+    onLoyaltyClosed() {
+        const modal = document.getElementById('loyalty-modal');
+        modal.setAttribute('aria-hidden', 'true');
+
+        if (this.loyaltyTrigger && document.contains(this.loyaltyTrigger)) {
+            this.loyaltyTrigger.focus();
+        }
+        this.loyaltyTrigger = null;
+    },
+
+    // Variant matrix - one state per card or quick view, built from [data-variant-matrix]:
+    //   [{ id, values: [optionValueId per axis], price, original_price, is_out_of_stock }]
+    // Option buttons carry data-axis/data-value-id; plain variant buttons are a single axis
+    // whose values are the variant ids. status: incomplete -> available | out-of-stock
+    setupVariants() {
+        document.querySelectorAll('[data-variant-matrix]').forEach(matrix => {
+            const container = matrix.closest('.product-card, .quick-view__content');
+
+            if (container) {
+                this.renderVariantState(container, this.getVariantState(container));
+            }
+        });
+    },
+
+    getVariantState(container) {
+        if (this.variantStates.has(container)) {
+            return this.variantStates.get(container);
+        }
+
+        const matrixElement = container.querySelector('[data-variant-matrix]');
+        const optionButtons = Array.from(container.querySelectorAll('[data-action="select-option"]'));
+        const variantButtons = Array.from(container.querySelectorAll('[data-action="select-variant"]'));
+
+        if (!matrixElement && variantButtons.length === 0) {
+            return null;
+        }
+
+        let matrix = [];
+        try {
+            matrix = matrixElement ? JSON.parse(matrixElement.dataset.variantMatrix) : [];
+        } catch (error) {
+            console.error('Invalid variant matrix:', error);
+        }
+
+        // Without option axes each variant is its own value on a single axis
+        const variants = matrix.length > 0
+            ? matrix.map(variant => ({
+                ...variant,
+                id: String(variant.id),
+                values: (optionButtons.length > 0 ? variant.values || [] : [variant.id]).map(value => String(value && value.id !== undefined ? value.id : value))
+            }))
+            : variantButtons.map(button => ({
+                id: String(button.dataset.variantId),
+                values: [String(button.dataset.variantId)],
+                is_out_of_stock: button.dataset.outOfStock === 'true'
+            }));
+
+        const axisCount = optionButtons.length > 0
+            ? Math.max(...optionButtons.map(button => Number(button.dataset.axis))) + 1
+            : 1;
+        const addToCartBtn = container.querySelector('[data-action="add-to-cart"]');
+        const selectedId = matrixElement ? matrixElement.dataset.selectedVariant : null;
+        const selected = variants.find(variant => variant.id === String(selectedId));
+
+        const state = {
+            productId: String(container.dataset.productId || (addToCartBtn && addToCartBtn.dataset.productId)),
+            variants,
+            // Option axes must all be chosen; a plain variant list falls back to the default variant
+            required: optionButtons.length > 0,
+            selection: selected ? [...selected.values] : new Array(axisCount).fill(null),
+            productOutOfStock: Boolean(addToCartBtn && addToCartBtn.hidden),
+            variant: null,
+            status: 'incomplete'
+        };
+
+        this.variantStates.set(container, state);
+        return state;
+    },
+
+    // A partial selection matches when every chosen axis agrees
+    matchesVariantSelection(variant, selection) {
+        return selection.every((value, axis) => value === null || variant.values[axis] === value);
+    },
+
+    // data-action="select-option" (one value of one axis)
+    selectOption(button) {
+        const container = button.closest('.product-card, .quick-view__content');
+        const state = container && this.getVariantState(container);
+
+        if (!state) {
+            return;
+        }
+
+        const axis = Number(button.dataset.axis || 0);
+        const value = String(button.dataset.valueId || button.dataset.variantId);
+
+        // Picking the chosen value again clears that axis; a plain variant list keeps its
+        // only axis so add-to-cart always has a variant
+        state.selection[axis] = state.required && state.selection[axis] === value ? null : value;
+
+        this.renderVariantState(container, state);
+
+        if (state.variant) {
+            this.loadVariantDetails(container, state, state.variant);
+        }
+    },
+
+    // Select a product variant on a card or in the quick view (single-axis lists)
+    selectVariant(button) {
+        this.selectOption(button);
+    },
+
+    renderVariantState(container, state) {
+        const { selection } = state;
+        const isComplete = selection.every(value => value !== null);
+
+        state.variant = isComplete
+            ? state.variants.find(variant => this.matchesVariantSelection(variant, selection)) || null
+            : null;
+
+        if (!state.variant) {
+            state.status = 'incomplete';
+        } else {
+            state.status = state.variant.is_out_of_stock ? 'out-of-stock' : 'available';
+        }
+
+        container.dataset.variantStatus = state.status;
+
+        // Impossible combinations are disabled; ones that exist but are sold out stay selectable
+        container.querySelectorAll('[data-action="select-option"], [data-action="select-variant"]').forEach(option => {
+            const axis = Number(option.dataset.axis || 0);
+            const value = String(option.dataset.valueId || option.dataset.variantId);
+            const candidate = [...selection];
+
+            candidate[axis] = value;
+
+            const matches = state.variants.filter(variant => this.matchesVariantSelection(variant, candidate));
+            const isPossible = matches.length > 0;
+            const isSoldOut = isPossible && matches.every(variant => variant.is_out_of_stock);
+            const isSelected = selection[axis] === value;
+
+            option.disabled = !isPossible;
+            option.classList.toggle('active', isSelected);
+            option.classList.toggle('variant-option--out-of-stock', isSoldOut);
+            option.setAttribute('aria-pressed', String(isSelected));
+
+            if (isSoldOut) {
+                option.dataset.outOfStock = 'true';
+            } else {
+                delete option.dataset.outOfStock;
+            }
+        });
+
+        const { variant } = state;
+        const isOutOfStock = variant ? variant.is_out_of_stock : state.productOutOfStock;
+        const addToCartBtn = container.querySelector('[data-action="add-to-cart"]');
+        const notifyBtn = container.querySelector('[data-action="notify-restock"]');
+
+        [addToCartBtn, notifyBtn].forEach(actionButton => {
+            if (!actionButton) {
+                return;
+            }
+
+            if (variant) {
+                actionButton.dataset.variantId = variant.id;
+            } else {
+                delete actionButton.dataset.variantId;
+            }
+        });
+
+        // Out-of-stock variants stay selectable so shoppers can ask to be notified
+        if (addToCartBtn) {
+            addToCartBtn.hidden = Boolean(isOutOfStock);
+        }
+        if (notifyBtn) {
+            notifyBtn.hidden = !isOutOfStock;
+            this.applyRestockStates(container);
+        }
+
+        if (variant && variant.price !== undefined && variant.price !== null) {
+            const priceElement = container.querySelector('.price-current');
+            let originalElement = container.querySelector('.price-original');
+            const currency = variant.currency || (priceElement && priceElement.dataset.currency);
+
+            if (priceElement) {
+                priceElement.dataset.amount = variant.price;
+                priceElement.textContent = this.formatMoney(variant.price, currency);
+                this.applyLoyaltyPoints(container);
+            }
+
+            const hasDiscount = variant.original_price && Number(variant.original_price) > Number(variant.price);
+
+            // Cards rendered without a discount have no original price to update yet
+            if (!originalElement && hasDiscount && priceElement) {
+                originalElement = document.createElement('span');
+                originalElement.className = 'price-original';
+                priceElement.before(originalElement);
+            }
+
+            if (originalElement) {
+                originalElement.hidden = !hasDiscount;
+                if (hasDiscount) {
+                    originalElement.dataset.amount = variant.original_price;
+                    originalElement.textContent = this.formatMoney(variant.original_price, currency);
+                }
+            }
+        }
+
+        if (variant && variant.image) {
+            const imageElement = container.querySelector('.product-card__image, .quick-view__main-image');
+            if (imageElement) {
+                imageElement.src = this.sanitizeURL(variant.image, { allowDataImages: true, fallback: imageElement.src });
+            }
+        }
+
+        const quantityInput = container.querySelector('.quick-view__quantity-input');
+        if (quantityInput && variant && variant.stock_quantity) {
+            quantityInput.max = variant.stock_quantity;
+        }
+
+        const stockElement = container.querySelector('.quick-view__stock');
+        if (stockElement && variant) {
+            stockElement.classList.toggle('quick-view__stock--out', Boolean(variant.is_out_of_stock));
+            stockElement.textContent = variant.is_out_of_stock
+                ? this.t('product.outOfStock')
+                : (variant.stock_quantity && variant.stock_quantity <= 5
+                    ? this.t('product.lowStock', { count: variant.stock_quantity })
+                    : this.t('product.inStock'));
+        }
+    },
+
+    // Authoritative price, stock and image for the chosen combination
+    async loadVariantDetails(container, state, variant) {
+        let details;
+
+        try {
+            details = await this.fetchVariant(state.productId, variant.id);
+        } catch (error) {
+            console.error('Variant error:', error);
+            return;
+        }
+
+        Object.assign(variant, {
+            price: details.price,
+            original_price: details.original_price,
+            currency: details.currency,
+            is_out_of_stock: Boolean(details.is_out_of_stock),
+            stock_quantity: details.stock_quantity,
+            image: details.image ? details.image.url : variant.image
+        });
+
+        // Still showing this combination
+        if (state.variant === variant) {
+            this.renderVariantState(container, state);
+        }
+    },
+
+    // Cached /api/products/{id}/variants/{vid} requests, like fetchQuickViewProduct
+    fetchVariant(productId, variantId) {
+        const key = `${productId}:${variantId}`;
+
+        return this.getCachedRequest(this.variantCache, key, () => fetch(`/api/products/${productId}/variants/${variantId}`)
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success || !data.variant) {
+                    throw new Error(data.message || 'Variant not found');
+                }
+                return data.variant;
+            }));
+    },
+
+    // Reuse a cached request until it expires; failures are dropped so the next call retries
+    getCachedRequest(cache, key, load) {
+        const cached = cache.get(key);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.request;
+        }
+
+        const entry = {
+            expiresAt: Date.now() + this.config.quickView.cacheTTL,
+            request: load().catch(error => {
+                if (cache.get(key) === entry) {
+                    cache.delete(key);
+                }
+                throw error;
+            })
+        };
+
+        cache.set(key, entry);
+        return entry.request;
+    },
+
+    // Stock and prices of products in the cart just changed on the server
+    invalidateProductCaches(productIds) {
+        const ids = new Set(productIds.map(String));
+
+        ids.forEach(id => this.quickViewCache.delete(id));
+        Array.from(this.variantCache.keys())
+            .filter(key => ids.has(key.split(':')[0]))
+            .forEach(key => this.variantCache.delete(key));
+    },
+
+    // Quick view modal
+    setupQuickView() {
+        // Prefetch product details on hover/focus so the modal opens instantly
+        const prefetch = (e) => {
+            const trigger = e.target.closest('[data-action="quick-view"]');
+            if (trigger) {
+                this.fetchQuickViewProduct(trigger.dataset.productId).catch(() => {});
+            }
+        };
+
+        document.addEventListener('mouseover', prefetch, passiveSupported ? { passive: true } : false);
+        document.addEventListener('focusin', prefetch);
+
+        // Back button closes the modal
+        window.addEventListener('popstate', (e) => {
+            const modal = document.getElementById('quick-view');
+
+            if (modal && modal.classList.contains('active') && !(e.state && e.state.quickView)) {
+                modal.classList.remove('active');
+                this.onQuickViewClosed({ fromHistory: true });
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-quick-view-close]')) {
+                this.closeQuickView();
+                return;
+            }
+
+            const thumbnail = e.target.closest('[data-quick-view-image]');
+            if (thumbnail) {
+                this.showQuickViewImage(thumbnail);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.quick-view__quantity-input')) {
+                const addToCartBtn = e.target.closest('.quick-view__content').querySelector('[data-action="add-to-cart"]');
+                addToCartBtn.dataset.quantity = Math.max(1, parseInt(e.target.value, 10) || 1);
+            }
+        });
+    },
+
+    // Cached product details request (shared by prefetch and open)
+    fetchQuickViewProduct(productId) {
+        return this.getCachedRequest(this.quickViewCache, String(productId), () => fetch(`/api/products/${productId}`)
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success || !data.product) {
+                    throw new Error(data.message || 'Product not found');
+                }
+                return data.product;
+            }));
+    },
+
+    // Open quick view for a product card
+    async openQuickView(button) {
+        const productId = button.dataset.productId;
+        const modal = this.getQuickViewModal();
+        const content = modal.querySelector('.quick-view__content');
+
+        this.quickViewTrigger = button;
+        content.innerHTML = this.html`<div class="quick-view__loading" role="status">${this.t('common.loading')}</div>`;
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('quick-view-open');
+        modal.querySelector('.quick-view__close').focus();
+
+        let product;
+
+        try {
+            product = await this.fetchQuickViewProduct(productId);
+        } catch (error) {
+            console.error('Quick view error:', error);
+            this.closeQuickView();
+            this.showNotification(this.t('quickView.loadError'), 'error');
+            return;
+        }
+
+        // Closed while loading
+        if (!modal.classList.contains('active')) {
+            return;
+        }
+
+        this.renderQuickView(product);
+        this.recordProductView(product);
+        this.trackViewItem(product);
+
+        // Reflect the product in the URL so back closes the modal
+        const state = { quickView: productId };
+        const productUrl = new URL(product.url || window.location.href, window.location.href);
+        const url = productUrl.origin === window.location.origin ? productUrl.href : window.location.href;
+
+        if (history.state && history.state.quickView) {
+            history.replaceState(state, '', url);
+        } else {
+            history.pushState(state, '', url);
+        }
+    },
+
+    // Build the modal once and reuse it
+    getQuickViewModal() {
+        let modal = document.getElementById('quick-view');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'quick-view';
+            modal.className = 'modal quick-view';
+            modal.setAttribute('aria-hidden', 'true');
+            modal.innerHTML = this.html`
+                <div class="quick-view__backdrop" data-quick-view-close></div>
+                <div class="quick-view__dialog" role="dialog" aria-modal="true" aria-labelledby="quick-view-title">
+                    <button type="button" class="quick-view__close" data-quick-view-close aria-label="${this.t('quickView.close')}">×</button>
+                    <div class="quick-view__content"></div>
+                </div>
+            `;
+
+            // Escape and closeAllModals() go through the same cleanup
+            modal.addEventListener('modalClosed', () => {
+                this.onQuickViewClosed({ fromHistory: false });
+            });
+
+            document.body.appendChild(modal);
+        }
+
+        return modal;
+    },
+
+    // Render gallery, price, stock, rating, variants and actions
+    renderQuickView(product) {
+        const content = document.querySelector('#quick-view .quick-view__content');
+        const images = (product.images && product.images.length)
+            ? product.images
+            : [product.image || { url: '/assets/images/placeholder-product.jpg' }];
+        const variants = product.variants || [];
+        const options = product.options || [];
+        const rating = Math.round(product.rating || 0);
+        const isOutOfStock = product.is_out_of_stock;
+        const discount = product.has_discount ? this.calculateDiscount(product.original_price, product.price) : 0;
+
+        let stockLabel = this.t('product.inStock');
+        if (isOutOfStock) {
+            stockLabel = this.t('product.outOfStock');
+        } else if (product.stock_quantity && product.stock_quantity <= 5) {
+            stockLabel = this.t('product.lowStock', { count: product.stock_quantity });
+        }
+
+        content.innerHTML = this.html`
+            <div class="quick-view__gallery">
+                <img src="${images[0].url}" alt="${product.name}" class="quick-view__main-image" width="400" height="400">
+                ${images.length > 1 ? this.html`
+                    <div class="quick-view__thumbnails">
+                        ${images.map((image, index) => this.html`
+                            <button type="button" class="quick-view__thumbnail ${index === 0 ? 'active' : ''}" data-quick-view-image="${this.sanitizeURL(image.url, { allowDataImages: true, fallback: '' })}" aria-label="${this.t('quickView.image', { index: index + 1 })}">
+                                <img src="${image.url}" alt="" width="60" height="60" loading="lazy">
+                            </button>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="quick-view__details">
+                <h2 class="quick-view__title" id="quick-view-title">${product.name}</h2>
+                ${product.rating ? this.html`
+                    <div class="product-card__rating">
+                        <div class="rating-stars" aria-label="${this.t('product.rating', { rating: product.rating })}">
+                            ${[1, 2, 3, 4, 5].map(i => this.html`<span class="star ${i <= rating ? 'filled' : ''}">★</span>`)}
+                        </div>
+                        <span class="rating-count">(${product.reviews_count || 0})</span>
+                    </div>
+                ` : ''}
+                <div class="product-card__price">
+                    ${product.has_discount ? this.html`<span class="price-original" data-amount="${product.original_price}" data-currency="${product.currency}">${this.formatMoney(product.original_price, product.currency)}</span>` : ''}
+                    <span class="price-current" data-amount="${product.price}" data-currency="${product.currency}">${this.formatMoney(product.price, product.currency)}</span>
+                    ${discount > 0 ? this.html`<span class="product-badge product-badge--sale">${this.t('product.discount', { percent: this.formatPercent(discount) })}</span>` : ''}
+                </div>
+                <p class="quick-view__stock ${isOutOfStock ? 'quick-view__stock--out' : ''}">${stockLabel}</p>
+                <div class="quick-view__description"></div>
+                ${variants.length > 1 ? this.html`
+                    <div class="product-card__options" data-variant-matrix="${JSON.stringify(variants.map(variant => ({
+                        id: variant.id,
+                        values: variant.option_values || [variant.id],
+                        price: variant.price,
+                        original_price: variant.original_price,
+                        is_out_of_stock: variant.is_out_of_stock,
+                        stock_quantity: variant.stock_quantity
+                    })))}" data-selected-variant="${product.selected_variant_id || ''}">
+                        ${options.length > 0 ? options.map((option, axis) => this.html`
+                            <div class="product-card__variants" role="group" aria-label="${option.name}">
+                                ${option.values.map(value => this.html`
+                                    <button type="button" class="variant-option" data-action="select-option" data-product-id="${product.id}" data-axis="${axis}" data-value-id="${value.id}" aria-pressed="false" title="${value.name}">
+                                        ${value.color && /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(value.color) ? this.html`<span class="variant-color" style="background-color: ${value.color}"></span><span class="sr-only">${value.name}</span>` : value.name}
+                                    </button>
+                                `)}
+                            </div>
+                        `) : this.html`
+                            <div class="product-card__variants" role="group" aria-label="${this.t('product.options')}">
+                                ${variants.map(variant => this.html`
+                                    <button type="button" class="variant-option" data-action="select-variant" data-product-id="${product.id}" data-variant-id="${variant.id}" aria-pressed="false">
+                                        ${variant.name}
+                                    </button>
+                                `)}
+                            </div>
+                        `}
+                    </div>
+                ` : ''}
+                <div class="quick-view__actions">
+                    <label class="quick-view__quantity">
+                        <span class="sr-only">${this.t('product.quantity')}</span>
+                        <input type="number" class="quick-view__quantity-input" value="1" min="1" ${product.stock_quantity ? this.html`max="${product.stock_quantity}"` : ''}>
+                    </label>
+                    <button type="button" class="btn btn-primary add-to-cart-btn" data-action="add-to-cart" data-product-id="${product.id}" ${isOutOfStock ? 'hidden' : ''}>
+                        ${this.t('product.addToCart')}
+                    </button>
+                    <button type="button" class="btn btn-outline notify-restock-btn" data-action="notify-restock" data-product-id="${product.id}" ${isOutOfStock ? '' : 'hidden'}>
+                        <span class="notify-restock-btn__label">${this.t('restock.notifyMe')}</span>
+                    </button>
+                </div>
+                <a href="${product.url}" class="quick-view__more">${this.t('quickView.fullDetails')}</a>
+                ${'caches' in window ? this.html`
+                    <button type="button" class="quick-view__save-offline" data-action="save-offline" data-product-id="${product.id}" data-product-url="${product.url}" data-product-name="${product.name}" aria-pressed="false">
+                        <span data-save-offline-label>${this.t('offlineContent.save')}</span>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+
+        // Descriptions are merchant HTML - show them as plain text here
+        const description = new DOMParser().parseFromString(product.description || '', 'text/html');
+        content.querySelector('.quick-view__description').textContent = description.body.textContent.trim();
+        // The content element is reused, so drop the previous product's selection
+        this.variantStates.delete(content);
+        if (variants.length > 1) {
+            this.renderVariantState(content, this.getVariantState(content));
+        }
+
+        this.applyRestockStates(content);
+        this.applySavedOfflineStates(content);
+    },
+
+    // Swap the main gallery image
+    showQuickViewImage(thumbnail) {
+        const content = thumbnail.closest('.quick-view__content');
+
+        content.querySelector('.quick-view__main-image').src = this.sanitizeURL(thumbnail.dataset.quickViewImage, { allowDataImages: true, fallback: '' });
+        content.querySelectorAll('.quick-view__thumbnail').forEach(item => {
+            item.classList.toggle('active', item === thumbnail);
+        });
+    },
+
+    closeQuickView() {
+        const modal = document.getElementById('quick-view');
+
+        if (modal && modal.classList.contains('active')) {
+            modal.classList.remove('active');
+            this.onQuickViewClosed({ fromHistory: false });
+        }
+    },
+
+    // Restore focus and drop the history entry added on open
+    onQuickViewClosed({ fromHistory }) {
+        const modal = document.getElementById('quick-view');
+
+        modal.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('quick-view-open');
+
+        if (!fromHistory && history.state && history.state.quickView) {
+            history.back();
+        }
+
+        if (this.quickViewTrigger && document.contains(this.quickViewTrigger)) {
+            this.quickViewTrigger.focus();
+        }
+        this.quickViewTrigger = null;
+    },
+
+    // Update cart count display
+    updateCartCount(count) {
+        const cartCountElements = document.querySelectorAll('.cart-count');
+
+        if (count !== undefined) {
+            cartCountElements.forEach(element => {
+                element.textContent = count;
+                element.classList.remove('cart-count--pending');
+                element.removeAttribute('title');
+                
+                // Add animation
+                element.style.transform = 'scale(1.2)';
+                setTimeout(() => {
+                    element.style.transform = 'scale(1)';
+                }, 200);
+            });
+        } else {
+            // Fetch current cart count
+            fetch('/api/cart/count')
+                .then(response => this.trackDataFreshness('cart', response).json())
+                .then(data => {
+                    cartCountElements.forEach(element => {
+                        element.textContent = data.count || 0;
+                    });
+
+                    // Items queued while offline are not on the server yet
+                    return this.getQueuedCartQuantity();
+                })
+                .then(pendingQuantity => {
+                    if (pendingQuantity > 0) {
+                        this.applyOptimisticCartCount(pendingQuantity);
+                    }
+                })
+                .catch(error => {
+                    console.error('Failed to fetch cart count:', error);
+                });
+        }
+    },
+
+    // Show a cart count that includes items still waiting for sync
+    applyOptimisticCartCount(quantity) {
+        document.querySelectorAll('.cart-count').forEach(element => {
+            const current = parseInt(element.textContent, 10) || 0;
+            element.textContent = current + quantity;
+            element.classList.add('cart-count--pending');
+            element.title = this.t('cart.pendingSync');
+        });
+    },
+
+    // Fetch the full cart and hydrate local state
+    async loadCart() {
+        let offline = false;
+
+        try {
+            const response = this.trackDataFreshness('cart', await fetch('/api/cart'));
+            const data = await response.json();
+
+            if (data.success && data.cart) {
+                this.setCart(data.cart);
+
+                // Items queued while offline are not on the server yet
+                const pendingQuantity = await this.getQueuedCartQuantity();
+                if (pendingQuantity > 0) {
+                    this.applyOptimisticCartCount(pendingQuantity);
+                }
+                return;
+            }
+
+            // The service worker's 503 when neither the network nor its cache has the cart
+            offline = data.error === 'Offline';
+        } catch (error) {
+            console.error('Failed to load cart:', error);
+            offline = true;
+        }
+
+        // Offline - fall back to the last cart this browser saw
+        const storedCart = offline && this.readStoredCart();
+        if (storedCart) {
+            this.setCart(storedCart, { broadcast: false });
+            return;
+        }
+
+        this.updateCartCount();
+    },
+
+    // Normalize an API cart payload into the local cart model
+    normalizeCart(rawCart = {}) {
+        const items = (rawCart.items || []).map(item => ({
+            id: item.id,
+            productId: item.product_id || item.productId,
+            variantId: item.variant_id || item.variantId || null,
+            name: item.name || '',
+            variantName: item.variant_name || item.variantName || '',
+            image: (item.image && item.image.url) || item.image || '',
+            url: item.url || '#',
+            price: this.parseAmount(item.price) || 0,
+            quantity: parseInt(item.quantity, 10) || 0,
+            maxQuantity: item.max_quantity || item.maxQuantity || null
+        }));
+
+        const subtotal = rawCart.subtotal !== undefined
+            ? Number(rawCart.subtotal)
+            : items.reduce((total, item) => total + item.price * item.quantity, 0);
+
+        return {
+            items,
+            count: rawCart.count !== undefined
+                ? parseInt(rawCart.count, 10)
+                : items.reduce((total, item) => total + item.quantity, 0),
+            subtotal: Math.round(subtotal * 100) / 100,
+            loyaltyDiscount: this.parseAmount(rawCart.loyalty_discount) || 0,
+            updatedAt: rawCart.updatedAt || Date.now()
+        };
+    },
+
+    // Replace cart state and refresh everything that displays it
+    setCart(rawCart, { broadcast = true } = {}) {
+        const cart = this.normalizeCart(rawCart);
+
+        // Ignore stale updates arriving from other tabs
+        if (!broadcast && cart.updatedAt < this.cartState.updatedAt) {
+            return;
+        }
+
+        // Stock of lines that entered, left or changed quantity has moved; refetch their details
+        const changedIds = this.getChangedCartProductIds(this.cartState.items, cart.items);
+        if (changedIds.length > 0) {
+            this.invalidateProductCaches(changedIds);
+        }
+
+        this.cartState = cart;
+        this.updateCartCount(cart.count);
+        this.renderMiniCart();
+
+        if (broadcast) {
+            this.storeCart(cart);
+
+            if (this.cartChannel) {
+                this.cartChannel.postMessage({ type: 'cart', cart });
+            }
+        }
+
+        document.dispatchEvent(new CustomEvent('cartUpdated', {
+            detail: { count: cart.count, total: cart.subtotal, cart }
+        }));
+    },
+
+    // Product ids of cart lines (product + variant) whose quantity differs between two carts
+    getChangedCartProductIds(previousItems, nextItems) {
+        const lineKey = item => `${item.productId}:${item.variantId}`;
+        const previous = new Map(previousItems.map(item => [lineKey(item), item]));
+        const next = new Map(nextItems.map(item => [lineKey(item), item]));
+        const changed = new Set();
+
+        previous.forEach((item, key) => {
+            if (!next.has(key) || next.get(key).quantity !== item.quantity) {
+                changed.add(String(item.productId));
+            }
+        });
+        next.forEach((item, key) => {
+            if (!previous.has(key)) {
+                changed.add(String(item.productId));
+            }
+        });
+
+        return Array.from(changed);
+    },
+
+    // Cross-tab sync via BroadcastChannel, with storage events as fallback
+    setupCartSync() {
+        const { channelName, storageKey } = this.config.cart;
+
+        if ('BroadcastChannel' in window) {
+            this.cartChannel = new BroadcastChannel(channelName);
+            this.cartChannel.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'cart') {
+                    this.setCart(e.data.cart, { broadcast: false });
+                }
+            });
+            return;
+        }
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === storageKey && e.newValue) {
+                const storedCart = this.readStoredCart();
+                if (storedCart) {
+                    this.setCart(storedCart, { broadcast: false });
+                }
+            }
+        });
+    },
+
+    // Persist cart state for offline hydration and storage-event sync
+    storeCart(cart) {
+        try {
+            localStorage.setItem(this.config.cart.storageKey, JSON.stringify(cart));
+        } catch (error) {
+            console.warn('Failed to store cart:', error);
+        }
+    },
+
+    readStoredCart() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.cart.storageKey));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Change a line item quantity (0 removes it)
+    async updateCartItem(itemId, quantity) {
+        const previousCart = this.cartState;
+        const item = previousCart.items.find(entry => String(entry.id) === String(itemId));
+
+        if (!item) {
+            return;
+        }
+
+        if (item.maxQuantity && quantity > item.maxQuantity) {
+            this.showNotification(this.t('cart.quantityUnavailable'), 'warning');
+            return;
+        }
+
+        // Optimistic update, rolled back if the server refuses
+        const items = quantity > 0
+            ? previousCart.items.map(entry => (entry === item ? { ...entry, quantity } : entry))
+            : previousCart.items.filter(entry => entry !== item);
+
+        this.setCart({ items, updatedAt: Date.now() });
+
+        const isRemoval = quantity <= 0;
+        const url = isRemoval ? '/api/cart/remove' : '/api/cart/update';
+        const payload = isRemoval ? { item_id: item.id } : { item_id: item.id, quantity };
+
+        try {
+            const data = await this.sendMutation(url, payload, {
+                type: isRemoval ? 'cart-remove' : 'cart-update',
+                dedupeKey: `cart-item:${item.id}`
+            });
+
+            if (data.queued || data.success) {
+                this.trackCartChange(item, Math.max(quantity, 0) - item.quantity);
+            }
+
+            if (data.queued) {
+                return;
+            }
+
+            if (data.success) {
+                if (data.cart) {
+                    this.setCart(data.cart);
+                }
+
+                this.announceToScreenReader(this.t(isRemoval ? 'cart.itemRemoved' : 'cart.quantityUpdated'));
+            } else {
+                this.setCart({ ...previousCart, updatedAt: Date.now() });
+                this.showNotification(data.message || this.t('cart.updateError'), 'error');
+            }
+        } catch (error) {
+            console.error('Cart update error:', error);
+            this.setCart({ ...previousCart, updatedAt: Date.now() });
+            this.showNotification(this.t('cart.updateError'), 'error');
+        }
+    },
+
+    // Mini-cart drawer
+    setupMiniCart() {
+        document.addEventListener('click', (e) => {
+            const cartLink = e.target.closest('.cart-container .cart-link');
+
+            // Let modifier clicks open the full cart page
+            if (cartLink && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+                e.preventDefault();
+                this.openMiniCart(cartLink);
+                return;
+            }
+
+            if (e.target.closest('[data-mini-cart-close]')) {
+                this.closeMiniCart();
+                return;
+            }
+
+            const actionButton = e.target.closest('[data-mini-cart-action]');
+            if (actionButton) {
+                const itemId = actionButton.dataset.itemId;
+                const item = this.cartState.items.find(entry => String(entry.id) === itemId);
+
+                if (!item) {
+                    return;
+                }
+
+                const action = actionButton.dataset.miniCartAction;
+                if (action === 'increase') {
+                    this.updateCartItem(itemId, item.quantity + 1);
+                } else if (action === 'decrease') {
+                    this.updateCartItem(itemId, item.quantity - 1);
+                } else if (action === 'remove') {
+                    this.updateCartItem(itemId, 0);
+                }
+            }
+        });
+    },
+
+    // Build the drawer once and reuse it
+    getMiniCart() {
+        let miniCart = document.getElementById('mini-cart');
+
+        if (!miniCart) {
+            const cartLink = document.querySelector('.cart-container .cart-link');
+
+            miniCart = document.createElement('div');
+            miniCart.id = 'mini-cart';
+            miniCart.className = 'modal mini-cart';
+            miniCart.setAttribute('aria-hidden', 'true');
+            miniCart.innerHTML = this.html`
+                <div class="mini-cart__backdrop" data-mini-cart-close></div>
+                <aside class="mini-cart__panel" role="dialog" aria-modal="true" aria-labelledby="mini-cart-title" tabindex="-1">
+                    <div class="mini-cart__header">
+                        <h2 class="mini-cart__title" id="mini-cart-title">${this.t('cart.title')}</h2>
+                        <button type="button" class="mini-cart__close" data-mini-cart-close aria-label="${this.t('cart.close')}">×</button>
+                    </div>
+                    <div class="mini-cart__shipping"></div>
+                    <ul class="mini-cart__items"></ul>
+                    <div class="mini-cart__footer">
+                        <div class="mini-cart__subtotal">
+                            <span>${this.t('cart.subtotal')}</span>
+                            <span class="mini-cart__subtotal-value"></span>
+                        </div>
+                        <div class="mini-cart__loyalty-discount" hidden>
+                            <span>${this.t('loyalty.discount')}</span>
+                            <span class="mini-cart__loyalty-discount-value"></span>
+                        </div>
+                        <p class="mini-cart__points" data-loyalty-cart-points hidden></p>
+                        <a href="${cartLink ? cartLink.getAttribute('href') : '/cart'}" class="btn btn-primary mini-cart__checkout">${this.t('cart.checkout')}</a>
+                    </div>
+                </aside>
+            `;
+
+            // Restore focus when closed via Escape or closeAllModals()
+            miniCart.addEventListener('modalClosed', () => {
+                this.onMiniCartClosed();
+            });
+
+            document.body.appendChild(miniCart);
+            this.renderMiniCart();
+        }
+
+        return miniCart;
+    },
+
+    openMiniCart(trigger) {
+        const miniCart = this.getMiniCart();
+
+        this.miniCartTrigger = trigger || document.activeElement;
+        miniCart.classList.add('active');
+        miniCart.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('mini-cart-open');
+        miniCart.querySelector('.mini-cart__panel').focus();
+    },
+
+    closeMiniCart() {
+        const miniCart = document.getElementById('mini-cart');
+
+        if (miniCart && miniCart.classList.contains('active')) {
+            miniCart.classList.remove('active');
+            this.onMiniCartClosed();
+        }
+    },
+
+    onMiniCartClosed() {
+        const miniCart = document.getElementById('mini-cart');
+
+        miniCart.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('mini-cart-open');
+
+        if (this.miniCartTrigger && document.contains(this.miniCartTrigger)) {
+            this.miniCartTrigger.focus();
+        }
+        this.miniCartTrigger = null;
+    },
+
+    // Render line items, free-shipping progress and subtotal
+    renderMiniCart() {
+        const miniCart = document.getElementById('mini-cart');
+
+        if (!miniCart) {
+            return;
+        }
+
+        const { items, subtotal } = this.cartState;
+        const threshold = this.config.cart.freeShippingThreshold;
+        const itemsList = miniCart.querySelector('.mini-cart__items');
+        const shipping = miniCart.querySelector('.mini-cart__shipping');
+        const footer = miniCart.querySelector('.mini-cart__footer');
+
+        if (items.length === 0) {
+            itemsList.innerHTML = this.html`<li class="mini-cart__empty">${this.t('cart.empty')}</li>`;
+            shipping.hidden = true;
+            footer.hidden = true;
+            return;
+        }
+
+        shipping.hidden = false;
+        footer.hidden = false;
+
+        const remaining = Math.max(0, threshold - subtotal);
+        const progress = Math.min(100, Math.round((subtotal / threshold) * 100));
+        shipping.innerHTML = this.html`
+            <p class="mini-cart__shipping-text">
+                ${remaining > 0
+                    ? this.t('cart.freeShippingRemaining', { amount: this.formatMoney(remaining) })
+                    : this.t('cart.freeShippingReached')}
+            </p>
+            <div class="mini-cart__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress}">
+                <span class="mini-cart__progress-bar" style="width: ${progress}%"></span>
+            </div>
+        `;
+
+        itemsList.innerHTML = this.html`${items.map(item => this.html`
+            <li class="mini-cart__item">
+                <a href="${item.url}" class="mini-cart__item-image">
+                    <img src="${item.image}" alt="${item.name}" width="64" height="64" loading="lazy">
+                </a>
+                <div class="mini-cart__item-info">
+                    <a href="${item.url}" class="mini-cart__item-name">${item.name}</a>
+                    ${item.variantName ? this.html`<span class="mini-cart__item-variant">${item.variantName}</span>` : ''}
+                    <span class="mini-cart__item-price">${this.formatMoney(item.price)}</span>
+                    <div class="mini-cart__quantity">
+                        <button type="button" data-mini-cart-action="decrease" data-item-id="${item.id}" aria-label="${this.t('cart.decrease')}">−</button>
+                        <span aria-live="polite">${item.quantity}</span>
+                        <button type="button" data-mini-cart-action="increase" data-item-id="${item.id}" aria-label="${this.t('cart.increase')}">+</button>
+                    </div>
+                </div>
+                <button type="button" class="mini-cart__remove" data-mini-cart-action="remove" data-item-id="${item.id}" aria-label="${this.t('cart.removeItem', { name: item.name })}">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3,6 5,6 21,6"></polyline>
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                    </svg>
+                </button>
+            </li>
+        `)}`;
+
+        miniCart.querySelector('.mini-cart__subtotal-value').textContent = this.formatMoney(subtotal);
+
+        const discount = miniCart.querySelector('.mini-cart__loyalty-discount');
+        discount.hidden = !(this.cartState.loyaltyDiscount > 0);
+        discount.querySelector('.mini-cart__loyalty-discount-value').textContent = this.formatMoney(-this.cartState.loyaltyDiscount);
+
+        this.renderLoyaltyCartPoints(miniCart);
+    },
+
+    // Offline queue - failed mutations are replayed by the service worker
+    setupOfflineQueue() {
+        if (!('indexedDB' in window)) {
+            return;
+        }
+
+        // Browsers without Background Sync ask the service worker directly
+        window.addEventListener('online', () => {
+            this.replayOfflineQueue();
+        });
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'SYNC_COMPLETE') {
+                    this.handleSyncComplete(e.data);
+                }
+            });
+        }
+    },
+
+    // POST a JSON mutation, queueing it for background sync when the network is down
+    async sendMutation(url, payload, { type, dedupeKey } = {}) {
+        const csrfToken = this.getCSRFToken();
+        const options = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-TOKEN': csrfToken
+            },
+            body: JSON.stringify(payload)
+        };
+
+        let response;
+
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            // fetch only rejects when the request never reached the server
+            if (!type || !('indexedDB' in window)) {
+                throw error;
+            }
+
+            await this.queueFailedRequest({ url, options, type, dedupeKey, csrfToken, payload });
+            return { queued: true };
+        }
+
+        return response.json();
+    },
+
+    // Persist a failed request into the store read by sw.js doBackgroundSync()
+    async queueFailedRequest({ url, options, type, dedupeKey, csrfToken, payload }) {
+        const { storeName } = this.config.offlineQueue;
+        const db = await this.openOfflineQueueDB();
+        const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+
+        const requestId = this.generateRequestId();
+        const record = {
+            url,
+            options: {
+                ...options,
+                headers: { ...options.headers, 'X-Request-Id': requestId }
+            },
+            type,
+            dedupeKey,
+            csrfToken,
+            payload,
+            requestId,
+            timestamp: Date.now()
+        };
+
+        const queued = await this.idbRequest(store.getAll());
+        const existing = dedupeKey ? queued.find(entry => entry.dedupeKey === dedupeKey) : null;
+
+        if (existing) {
+            const merged = this.mergeQueuedRequest(existing, record);
+
+            if (merged) {
+                await this.idbRequest(store.put({ ...merged, id: existing.id }));
+            } else {
+                await this.idbRequest(store.delete(existing.id));
+            }
+        } else {
+            await this.idbRequest(store.add(record));
+        }
+
+        // Not awaited: serviceWorker.ready never settles without a registration
+        this.registerBackgroundSync().catch(error => {
+            console.warn('Background sync registration failed:', error);
+        });
+    },
+
+    // Combine a new mutation with one already queued under the same key
+    mergeQueuedRequest(existing, record) {
+        if (record.type === 'cart-add') {
+            const payload = {
+                ...record.payload,
+                quantity: existing.payload.quantity + record.payload.quantity
+            };
+
+            return {
+                ...record,
+                payload,
+                options: { ...record.options, body: JSON.stringify(payload) }
+            };
+        }
+
+        // Two wishlist toggles cancel each other out
+        if (record.type === 'wishlist-toggle') {
+            return null;
+        }
+
+        // A queued alert and its cancellation never need to reach the server
+        if (existing.type === 'restock-subscribe' && record.type === 'restock-unsubscribe') {
+            return null;
+        }
+
+        return record;
+    },
+
+    // Sum of quantities waiting in the offline queue
+    async getQueuedCartQuantity() {
+        if (!('indexedDB' in window)) {
+            return 0;
+        }
+
+        try {
+            const { storeName } = this.config.offlineQueue;
+            const db = await this.openOfflineQueueDB();
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            const queued = await this.idbRequest(store.getAll());
+
+            return queued
+                .filter(entry => entry.type === 'cart-add')
+                .reduce((total, entry) => total + (entry.payload.quantity || 0), 0);
+        } catch (error) {
+            console.error('Failed to read offline queue:', error);
+            return 0;
+        }
+    },
+
+    // Register the sync tag handled in sw.js
+    async registerBackgroundSync() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        const registration = await navigator.serviceWorker.ready;
+
+        if ('sync' in registration) {
+            await registration.sync.register(this.config.offlineQueue.syncTag);
+        }
+    },
+
+    // Ask the service worker to replay now (fallback for missing Background Sync)
+    replayOfflineQueue() {
+        if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+            return;
+        }
+
+        if ('SyncManager' in window) {
+            return;
+        }
+
+        navigator.serviceWorker.controller.postMessage({
+            type: 'REPLAY_FAILED_REQUESTS',
+            csrfToken: this.getCSRFToken()
+        });
+    },
+
+    // Report the outcome of a replay to the shopper
+    handleSyncComplete({ replayed = [], conflicts = [] }) {
+        const cartReplays = replayed.filter(entry => entry.type.startsWith('cart-'));
+
+        if (cartReplays.length > 0) {
+            this.loadCart();
+            this.showNotification(this.t('cart.synced'), 'success');
+        }
+
+        conflicts.forEach(conflict => {
+            const message = this.t(conflict.type === 'cart-add' ? 'cart.syncAddFailed' : 'cart.syncFailed');
+
+            this.showNotification(conflict.message || message, 'error', 5000);
+        });
+
+        if (conflicts.length > 0 && cartReplays.length === 0) {
+            this.loadCart();
+        }
+    },
+
+    // Open the IndexedDB database shared with sw.js
+    openOfflineQueueDB() {
+        const { dbName, dbVersion, storeName, settingsStoreName } = this.config.offlineQueue;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(storeName)) {
+                    const store = db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+
+                // v2: service worker locale and other key/value settings
+                if (!db.objectStoreNames.contains(settingsStoreName)) {
+                    db.createObjectStore(settingsStoreName);
+                }
+            };
+        });
+    },
+
+    // Promisify an IndexedDB request
+    idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Unique id so the server can ignore duplicate replays
+    generateRequestId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    // Search autocomplete (ARIA combobox pattern)
+    setupSearchFunctionality() {
+        const searchInputs = document.querySelectorAll('.search-input');
+
+        searchInputs.forEach((input, index) => {
+            const resultsContainer = this.getSearchResultsContainer(input, index);
+            const state = { timeout: null, controller: null, activeIndex: -1 };
+
+            this.searchStates.set(input, state);
+
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-expanded', 'false');
+            input.setAttribute('aria-controls', resultsContainer.id);
+
+            input.addEventListener('input', (e) => {
+                clearTimeout(state.timeout);
+                const query = e.target.value.trim();
+
+                if (query.length >= this.config.search.minLength) {
+                    state.timeout = setTimeout(() => {
+                        this.performSearch(query, input);
+                    }, this.config.search.debounce);
+                } else if (query.length === 0) {
+                    // A search still in flight must not replace the recent list
+                    this.cancelSearch(input);
+                    this.showRecentSearches(input);
+                } else {
+                    this.hideSearchResults(input);
+                }
+            });
+
+            input.addEventListener('focus', () => {
+                if (!input.value.trim()) {
+                    this.showRecentSearches(input);
+                }
+            });
+
+            input.addEventListener('keydown', (e) => {
+                this.handleSearchKeydown(e, input);
+            });
+
+            // Remember and report submitted queries
+            const form = input.closest('form');
+            if (form) {
+                form.addEventListener('submit', () => {
+                    this.saveRecentSearch(input.value);
+                    this.trackSearch(input.value);
+                });
+            }
+        });
+
+        // Hide results when clicking outside (one listener for all inputs)
+        document.addEventListener('click', (e) => {
+            searchInputs.forEach(input => {
+                const container = input.closest('.search-container') || input.parentNode;
+                if (!container.contains(e.target)) {
+                    this.hideSearchResults(input);
+                }
+            });
+        });
+    },
+
+    // Listbox element controlled by a search input
+    getSearchResultsContainer(input, index) {
+        let resultsContainer = input.parentNode.querySelector('.search-results');
+
+        if (!resultsContainer) {
+            resultsContainer = document.createElement('div');
+            resultsContainer.className = 'search-results';
+            input.parentNode.appendChild(resultsContainer);
+        }
+
+        resultsContainer.id = resultsContainer.id || `search-results-${index}`;
+        resultsContainer.setAttribute('role', 'listbox');
+        resultsContainer.dataset.i18nAriaLabel = 'search.results';
+        resultsContainer.setAttribute('aria-label', this.t('search.results'));
+        resultsContainer.style.display = 'none';
+
+        // Keep focus in the input while clicking options
+        resultsContainer.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+        });
+
+        resultsContainer.addEventListener('click', (e) => {
+            const recent = e.target.closest('[data-recent-search]');
+            if (recent) {
+                e.preventDefault();
+                input.value = recent.dataset.recentSearch;
+                this.performSearch(input.value, input);
+                return;
+            }
+
+            if (e.target.closest('[data-clear-recent-searches]')) {
+                e.preventDefault();
+                this.clearRecentSearches();
+                this.showRecentSearches(input);
+                return;
+            }
+
+            if (e.target.closest('.search-result-item')) {
+                this.saveRecentSearch(input.value);
+            }
+        });
+
+        return resultsContainer;
+    },
+
+    // Arrow keys move through options, Enter activates, Escape closes
+    handleSearchKeydown(e, input) {
+        const state = this.searchStates.get(input);
+        const resultsContainer = document.getElementById(input.getAttribute('aria-controls'));
+        const options = Array.from(resultsContainer.querySelectorAll('[role="option"]'));
+        const isOpen = input.getAttribute('aria-expanded') === 'true';
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (!isOpen || options.length === 0) {
+                    return;
+                }
+
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const nextIndex = (state.activeIndex + step + options.length) % options.length;
+                this.setActiveSearchOption(input, options, nextIndex);
+                break;
+            }
+            case 'Enter':
+                if (isOpen && state.activeIndex >= 0 && options[state.activeIndex]) {
+                    e.preventDefault();
+                    options[state.activeIndex].click();
+                } else if (!input.form) {
+                    // Inputs outside a form (search page) commit on Enter
+                    this.trackSearch(input.value);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    this.hideSearchResults(input);
+                }
+                break;
+        }
+    },
+
+    setActiveSearchOption(input, options, index) {
+        const state = this.searchStates.get(input);
+
+        options.forEach((option, optionIndex) => {
+            const isActive = optionIndex === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+
+            if (isActive) {
+                input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        state.activeIndex = index;
+    },
+
+    // Perform search - newer queries cancel older in-flight requests
+    async performSearch(query, input) {
+        const state = this.searchStates.get(input);
+        const cacheKey = this.searchNormalizer.normalize(query);
+        const cached = this.getCachedSearch(cacheKey);
+
+        this.cancelSearch(input);
+
+        if (cached) {
+            this.showSearchResults(cached, input, query);
+            return;
+        }
+
+        const controller = new AbortController();
+        state.controller = controller;
+
+        try {
+            const response = this.trackDataFreshness('search', await fetch(
+                `/api/search?q=${encodeURIComponent(cacheKey)}&limit=${this.config.search.limit}`,
+                { signal: controller.signal }
+            ));
+            const data = await response.json();
+
+            if (data.success) {
+                const groups = {
+                    products: data.results || data.products || [],
+                    categories: data.categories || [],
+                    brands: data.brands || []
+                };
+
+                // Keep saved answers out of the session cache so the next search retries live
+                if (!this.isCachedResponse(response)) {
+                    this.setCachedSearch(cacheKey, groups);
+                }
+                this.showSearchResults(groups, input, query);
+            } else if (data.error === 'Offline') {
+                // Service worker offline response - search what we have cached
+                this.showOfflineSearchResults(query, input, controller);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Search error:', error);
+                this.showOfflineSearchResults(query, input, controller);
+            }
+        } finally {
+            if (state.controller === controller) {
+                state.controller = null;
+            }
+        }
+    },
+
+    async showOfflineSearchResults(query, input, controller) {
+        const groups = await this.searchCachedCatalog(query);
+
+        // A newer query started meanwhile
+        if (controller.signal.aborted) {
+            return;
+        }
+
+        this.showSearchResults(groups, input, query);
+    },
+
+    // Small LRU cache of search responses
+    getCachedSearch(key) {
+        if (!this.searchCache.has(key)) {
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        const value = this.searchCache.get(key);
+        this.searchCache.delete(key);
+        this.searchCache.set(key, value);
+        return value;
+    },
+
+    setCachedSearch(key, value) {
+        this.searchCache.delete(key);
+        this.searchCache.set(key, value);
+
+        if (this.searchCache.size > this.config.search.cacheSize) {
+            this.searchCache.delete(this.searchCache.keys().next().value);
+        }
+    },
+
+    // Show grouped search results
+    showSearchResults(groups, input, query) {
+        const resultsContainer = document.getElementById(input.getAttribute('aria-controls'));
+        const listId = resultsContainer.id;
+        const sections = [
+            { key: 'products', title: this.t('search.products') },
+            { key: 'categories', title: this.t('search.categories') },
+            { key: 'brands', title: this.t('search.brands') }
+        ];
+        let optionIndex = 0;
+
+        const markup = sections
+            .filter(section => groups[section.key] && groups[section.key].length > 0)
+            .map(section => this.html`
+                <div class="search-results__group" role="group" aria-labelledby="${listId}-${section.key}">
+                    <div class="search-results__group-title" id="${listId}-${section.key}" role="presentation">${section.title}</div>
+                    ${groups[section.key].map(result => this.html`
+                        <a href="${result.url}" class="search-result-item search-result-item--${section.key}" role="option" id="${listId}-option-${optionIndex++}" aria-selected="false">
+                            ${result.image ? this.html`<img src="${result.image}" alt="" width="40" height="40">` : ''}
+                            <div class="search-result-info">
+                                <span class="search-result-name">${this.highlightMatch(result.name, query)}</span>
+                                ${section.key === 'products' && result.price !== undefined ? this.html`<span class="search-result-price">${this.formatMoney(result.price, result.currency)}</span>` : ''}
+                            </div>
+                        </a>
+                    `)}
+                </div>
+            `);
+
+        resultsContainer.innerHTML = this.html`
+            ${groups.offline ? this.html`<div class="search-results__offline" role="presentation">${this.t('search.offline')}</div>` : ''}
+            ${markup.length > 0 ? markup : this.html`<div class="search-no-results" role="presentation">${this.t('search.noResults')}</div>`}
+        `;
+        this.openSearchResults(input);
+        this.announceToScreenReader(this.t('search.resultCount', { count: optionIndex }));
+    },
+
+    // Report committed searches only, not each autocomplete query
+    trackSearch(query) {
+        const searchTerm = query.trim();
+        if (searchTerm) {
+            this.track('view_search_results', { search_term: searchTerm });
+        }
+    },
+
+    // Recent searches and recently viewed products shown when the input is focused and empty
+    showRecentSearches(input) {
+        const recentSearches = this.getRecentSearches();
+        const recentlyViewed = this.recentlyViewed.slice(0, this.config.search.recentlyViewedLimit);
+        const resultsContainer = document.getElementById(input.getAttribute('aria-controls'));
+        const listId = resultsContainer.id;
+        let optionIndex = 0;
+
+        if (recentSearches.length === 0 && recentlyViewed.length === 0) {
+            this.hideSearchResults(input);
+            return;
+        }
+
+        resultsContainer.innerHTML = this.html`
+            ${recentSearches.length > 0 ? this.html`
+                <div class="search-results__group" role="group" aria-labelledby="${listId}-recent">
+                    <div class="search-results__group-title" id="${listId}-recent" role="presentation">
+                        ${this.t('search.recent')}
+                        <button type="button" class="search-results__clear" data-clear-recent-searches tabindex="-1">${this.t('search.clearRecent')}</button>
+                    </div>
+                    ${recentSearches.map(term => this.html`
+                        <a href="#" class="search-result-item search-result-item--recent" role="option" id="${listId}-option-${optionIndex++}" aria-selected="false" data-recent-search="${term}">
+                            <span class="search-result-name">${term}</span>
+                        </a>
+                    `)}
+                </div>
+            ` : ''}
+            ${recentlyViewed.length > 0 ? this.html`
+                <div class="search-results__group" role="group" aria-labelledby="${listId}-viewed">
+                    <div class="search-results__group-title" id="${listId}-viewed" role="presentation">${this.t('recentlyViewed.title')}</div>
+                    ${recentlyViewed.map(product => this.html`
+                        <a href="${product.url}" class="search-result-item search-result-item--viewed" role="option" id="${listId}-option-${optionIndex++}" aria-selected="false">
+                            ${product.image ? this.html`<img src="${product.image}" alt="" width="40" height="40">` : ''}
+                            <div class="search-result-info">
+                                <span class="search-result-name">${product.name}</span>
+                                <span class="search-result-price">${this.formatMoney(product.price, product.currency)}</span>
+                            </div>
+                        </a>
+                    `)}
+                </div>
+            ` : ''}
+        `;
+
+        this.openSearchResults(input);
+    },
+
+    openSearchResults(input) {
+        const resultsContainer = document.getElementById(input.getAttribute('aria-controls'));
+
+        this.searchStates.get(input).activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+        input.setAttribute('aria-expanded', 'true');
+        resultsContainer.style.display = 'block';
+    },
+
+    // Drop the pending debounce and abort the request in flight, if any
+    cancelSearch(input) {
+        const state = this.searchStates.get(input);
+
+        if (!state) {
+            return;
+        }
+
+        clearTimeout(state.timeout);
+        state.timeout = null;
+
+        if (state.controller) {
+            state.controller.abort();
+            state.controller = null;
+        }
+    },
+
+    // Hide search results; late answers must not reopen them
+    hideSearchResults(input) {
+        const resultsContainer = document.getElementById(input.getAttribute('aria-controls'));
+
+        this.cancelSearch(input);
+
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+
+        if (resultsContainer) {
+            resultsContainer.style.display = 'none';
+        }
+    },
+
+    getRecentSearches() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.search.recentKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    saveRecentSearch(query) {
+        const term = query.trim();
+
+        if (term.length < this.config.search.minLength) {
+            return;
+        }
+
+        const normalized = this.searchNormalizer.normalize(term);
+        const recentSearches = this.getRecentSearches()
+            .filter(item => this.searchNormalizer.normalize(item) !== normalized);
+
+        recentSearches.unshift(term);
+
+        try {
+            localStorage.setItem(
+                this.config.search.recentKey,
+                JSON.stringify(recentSearches.slice(0, this.config.search.recentLimit))
+            );
+        } catch (error) {
+            console.warn('Failed to save recent search:', error);
+        }
+    },
+
+    clearRecentSearches() {
+        localStorage.removeItem(this.config.search.recentKey);
+    },
+
+    // Wrap matched query terms in <mark> (Arabic-aware, see searchNormalizer)
+    highlightMatch(text, query) {
+        const chars = Array.from(String(text || ''));
+        const match = this.searchNormalizer.fuzzyMatch(query, text);
+
+        if (!match) {
+            return this.trustedHTML(this.escapeHTML(chars.join('')));
+        }
+
+        const marked = new Array(chars.length).fill(false);
+        match.ranges.forEach(([start, end]) => {
+            for (let i = start; i < end; i++) {
+                marked[i] = true;
+            }
+        });
+
+        let html = '';
+        let open = false;
+
+        chars.forEach((char, index) => {
+            // Diacritics inside a match stay inside the <mark>
+            const isMarked = marked[index] || (open && this.searchNormalizer.foldChar(char) === '');
+
+            if (isMarked && !open) {
+                html += '<mark>';
+                open = true;
+            } else if (!isMarked && open) {
+                html += '</mark>';
+                open = false;
+            }
+            html += this.escapeHTML(char);
+        });
+
+        return this.trustedHTML(open ? `${html}</mark>` : html);
+    },
+
+    // Search the products held in cached API responses (offline fallback)
+    async searchCachedCatalog(query) {
+        const products = new Map();
+
+        if (!('caches' in window)) {
+            return { products: [], categories: [], brands: [], offline: true };
+        }
+
+        try {
+            const cacheNames = (await caches.keys()).filter(name => name.includes('dynamic'));
+
+            for (const cacheName of cacheNames) {
+                const cache = await caches.open(cacheName);
+                const requests = await cache.keys();
+
+                for (const request of requests) {
+                    const { pathname } = new URL(request.url);
+
+                    if (!pathname.startsWith('/api/search') && !pathname.startsWith('/api/products')) {
+                        continue;
+                    }
+
+                    const response = await cache.match(request);
+                    const data = await response.json().catch(() => null);
+
+                    if (data) {
+                        [].concat(data.results || [], data.products || [], data.product || [])
+                            .filter(product => product && product.id && product.name)
+                            .forEach(product => products.set(String(product.id), product));
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Cached catalog search failed:', error);
+        }
+
+        const results = Array.from(products.values())
+            .map(product => {
+                const brandName = product.brand ? product.brand.name || product.brand : '';
+                const match = this.searchNormalizer.fuzzyMatch(query, `${product.name} ${brandName}`);
+                return { product, score: match ? match.score : 0 };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.config.search.limit)
+            .map(entry => ({
+                ...entry.product,
+                image: entry.product.image && entry.product.image.url ? entry.product.image.url : entry.product.image
+            }));
+
+        return { products: results, categories: [], brands: [], offline: true };
+    },
+
+    // Arabic-aware text normalization for search queries and client-side matching
+    searchNormalizer: {
+        // Letter variants folded to one form (taa marbuta -> haa, alef maqsura -> yaa...)
+        letters: {
+            'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+            'ة': 'ه',
+            'ى': 'ي', 'ئ': 'ي',
+            'ؤ': 'و'
+        },
+
+        // Tashkeel, superscript alef and tatweel
+        diacritics: /[\u064B-\u065F\u0670\u0640]/,
+
+        // Arabic spellings of brands shoppers search for (keys are folded)
+        brands: {
+            'ايلف بار': 'elf bar',
+            'الف بار': 'elf bar',
+            'لوست ماري': 'lost mary',
+            'جيك بار': 'geek bar',
+            'جيك فيب': 'geekvape',
+            'فوزول': 'vozol',
+            'سموك': 'smok',
+            'فابوريسو': 'vaporesso',
+            'فابريسو': 'vaporesso',
+            'يوويل': 'uwell',
+            'كاليبرن': 'caliburn',
+            'فوبو': 'voopoo',
+            'مايل': 'myle',
+            'جول': 'juul',
+            'ريلكس': 'relx',
+            'اسباير': 'aspire',
+            'اوكسفا': 'oxva',
+            'حياتي': 'hayati',
+            'يوتو': 'yuoto'
+        },
+
+        // Common prefixes/suffixes removed by the light stemmer (سحبة / سحبات -> سحب)
+        prefixes: ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'],
+        suffixes: ['ات', 'ون', 'ين', 'ان', 'ه'],
+
+        // Normalize a single character ('' when it should be dropped)
+        foldChar(char) {
+            if (this.diacritics.test(char)) {
+                return '';
+            }
+
+            const code = char.charCodeAt(0);
+
+            // Arabic-Indic and extended (Persian) digits
+            if (code >= 0x0660 && code <= 0x0669) {
+                return String(code - 0x0660);
+            }
+            if (code >= 0x06F0 && code <= 0x06F9) {
+                return String(code - 0x06F0);
+            }
+
+            return this.letters[char] || char.toLowerCase();
+        },
+
+        // Folded text plus, for every folded character, its index in the original
+        foldWithMap(text) {
+            let folded = '';
+            const map = [];
+
+            Array.from(String(text || '')).forEach((char, index) => {
+                const value = this.foldChar(char);
+                for (let i = 0; i < value.length; i++) {
+                    folded += value[i];
+                    map.push(index);
+                }
+            });
+
+            return { text: folded, map };
+        },
+
+        fold(text) {
+            return this.foldWithMap(text).text;
+        },
+
+        // Arabic brand spellings -> Latin
+        transliterate(text) {
+            return Object.keys(this.brands).reduce((result, arabic) => {
+                return result.replace(new RegExp(`(^|\\s)${arabic}(?=\\s|$)`, 'g'), `$1${this.brands[arabic]}`);
+            }, text);
+        },
+
+        // Latin brand names -> Arabic spelling (first listed spelling wins)
+        toArabicBrands(text) {
+            const seen = new Set();
+
+            return Object.keys(this.brands).reduce((result, arabic) => {
+                const latin = this.brands[arabic];
+                if (seen.has(latin)) {
+                    return result;
+                }
+                seen.add(latin);
+                return result.replace(new RegExp(`(^|\\s)${latin}(?=\\s|$)`, 'g'), `$1${arabic}`);
+            }, text);
+        },
+
+        // Query as sent to the API and used as cache key
+        normalize(text) {
+            return this.transliterate(this.fold(text).replace(/\s+/g, ' ').trim());
+        },
+
+        stem(word) {
+            let stem = word;
+
+            const prefix = this.prefixes.find(item => stem.startsWith(item) && stem.length - item.length >= 3);
+            if (prefix) {
+                stem = stem.slice(prefix.length);
+            }
+
+            const suffix = this.suffixes.find(item => stem.endsWith(item) && stem.length - item.length >= 3);
+            if (suffix) {
+                stem = stem.slice(0, -suffix.length);
+            }
+
+            return stem;
+        },
+
+        // Tokens of folded text with their folded offsets
+        tokenize(folded) {
+            const tokens = [];
+            const pattern = /[\p{L}\p{N}]+/gu;
+            let match;
+
+            while ((match = pattern.exec(folded)) !== null) {
+                tokens.push({
+                    value: match[0],
+                    stem: this.stem(match[0]),
+                    start: match.index,
+                    end: match.index + match[0].length
+                });
+            }
+
+            return tokens;
+        },
+
+        levenshtein(a, b) {
+            const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+            for (let i = 1; i <= a.length; i++) {
+                let diagonal = previous[0];
+                previous[0] = i;
+
+                for (let j = 1; j <= b.length; j++) {
+                    const temp = previous[j];
+                    previous[j] = Math.min(
+                        previous[j] + 1,
+                        previous[j - 1] + 1,
+                        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                    );
+                    diagonal = temp;
+                }
+            }
+
+            return previous[b.length];
+        },
+
+        // Score one query token against one text token (0 = no match)
+        scoreToken(queryToken, textToken) {
+            const index = textToken.value.indexOf(queryToken.value);
+
+            if (index !== -1) {
+                return { score: 1, start: textToken.start + index, end: textToken.start + index + queryToken.value.length };
+            }
+
+            const whole = { start: textToken.start, end: textToken.end };
+
+            if (queryToken.stem === textToken.stem) {
+                return { score: 0.9, ...whole };
+            }
+
+            if (textToken.stem.startsWith(queryToken.stem) && queryToken.stem.length >= 2) {
+                return { score: 0.8, ...whole };
+            }
+
+            // Tolerate typos in longer words
+            const allowed = queryToken.stem.length >= 7 ? 2 : queryToken.stem.length >= 4 ? 1 : 0;
+            if (allowed > 0 && this.levenshtein(queryToken.stem, textToken.stem) <= allowed) {
+                return { score: 0.6, ...whole };
+            }
+
+            return { score: 0 };
+        },
+
+        // Fuzzy match every query token against text
+        // Returns { score, ranges } with ranges in original character offsets, or null
+        fuzzyMatch(query, text) {
+            const { text: folded, map } = this.foldWithMap(text);
+            const textTokens = this.tokenize(folded);
+            const base = this.fold(query).replace(/\s+/g, ' ').trim();
+            const variants = Array.from(new Set([base, this.transliterate(base), this.toArabicBrands(base)]));
+            let best = null;
+
+            variants.forEach(variant => {
+                const queryTokens = this.tokenize(variant);
+
+                if (queryTokens.length === 0 || textTokens.length === 0) {
+                    return;
+                }
+
+                let total = 0;
+                const ranges = [];
+
+                const allMatched = queryTokens.every(queryToken => {
+                    const result = textTokens
+                        .map(textToken => this.scoreToken(queryToken, textToken))
+                        .reduce((top, current) => (current.score > top.score ? current : top), { score: 0 });
+
+                    if (result.score === 0) {
+                        return false;
+                    }
+
+                    total += result.score;
+                    ranges.push([map[result.start], map[result.end - 1] + 1]);
+                    return true;
+                });
+
+                const score = allMatched ? total / queryTokens.length : 0;
+                if (score > 0 && (!best || score > best.score)) {
+                    best = { score, ranges };
+                }
+            });
+
+            return best;
+        }
+    },
+
+    // Performance optimizations
+    setupPerformanceOptimizations() {
+        // Preload critical resources
+        this.preloadCriticalResources();
+        
+        // Optimize images
+        this.optimizeImages();
+        
+        // Setup resource hints
+        this.setupResourceHints();
+        
+        // Monitor performance
+        this.monitorPerformance();
+    },
+
+    // Preload critical resources
+    preloadCriticalResources() {
+        const criticalResources = [
+            { href: '/assets/css/main.css', as: 'style' },
+            { href: '/assets/fonts/arabic-font.woff2', as: 'font', type: 'font/woff2', crossorigin: 'anonymous' }
+        ];
+        
+        criticalResources.forEach(resource => {
+            const link = document.createElement('link');
+            link.rel = 'preload';
+            Object.assign(link, resource);
+            document.head.appendChild(link);
+        });
+    },
+
+    // Optimize images
+    optimizeImages() {
+        // Add loading="lazy" to images below the fold
+        const images = document.querySelectorAll('img:not([loading])');
+        images.forEach((img, index) => {
+            if (index > 3) { // Skip first 3 images (likely above the fold)
+                img.loading = 'lazy';
+            }
+        });
+    },
+
+    // Setup resource hints
+    setupResourceHints() {
+        const hints = [
+            { rel: 'dns-prefetch', href: '//fonts.googleapis.com' },
+            { rel: 'dns-prefetch', href: '//www.google-analytics.com' },
+            { rel: 'preconnect', href: 'https://api.salla.sa' }
+        ];
+        
+        hints.forEach(hint => {
+            const link = document.createElement('link');
+            Object.assign(link, hint);
+            document.head.appendChild(link);
+        });
+    },
+
+    // Monitor performance
+    monitorPerformance() {
+        if ('PerformanceObserver' in window) {
+            // Monitor LCP
+            const lcpObserver = new PerformanceObserver((list) => {
+                const entries = list.getEntries();
+                const lastEntry = entries[entries.length - 1];
+                
+                // Send to analytics
+                this.track('LCP', {
+                    event_category: 'Web Vitals',
+                    value: Math.round(lastEntry.startTime),
+                    non_interaction: true
+                });
+            });
+            
+            lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
+            
+            // Monitor FID
+            const fidObserver = new PerformanceObserver((list) => {
+                const entries = list.getEntries();
+                entries.forEach(entry => {
+                    this.track('FID', {
+                        event_category: 'Web Vitals',
+                        value: Math.round(entry.processingStart - entry.startTime),
+                        non_interaction: true
+                    });
+                });
+            });
+            
+            fidObserver.observe({ entryTypes: ['first-input'] });
+        }
+    },
+
+    // Setup accessibility features
+    setupAccessibility() {
+        // Skip to main content link
+        this.addSkipToMainLink();
+        
+        // Keyboard navigation
+        this.setupKeyboardNavigation();
+        
+        // Focus management
+        this.setupFocusManagement();
+        
+        // ARIA live regions
+        this.setupLiveRegions();
+    },
+
+    // Add skip to main content link
+    addSkipToMainLink() {
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main-content';
+        skipLink.dataset.i18n = 'accessibility.skipToContent';
+        skipLink.textContent = this.t('accessibility.skipToContent');
+        skipLink.className = 'skip-to-main';
+        skipLink.style.cssText = `
+            position: absolute;
+            top: -40px;
+            left: 6px;
+            background: #000;
+            color: #fff;
+            padding: 8px;
+            text-decoration: none;
+            z-index: 10000;
+            border-radius: 4px;
+            transition: top 0.3s;
+        `;
+        
+        skipLink.addEventListener('focus', () => {
+            skipLink.style.top = '6px';
+        });
+        
+        skipLink.addEventListener('blur', () => {
+            skipLink.style.top = '-40px';
+        });
+        
+        document.body.insertBefore(skipLink, document.body.firstChild);
+    },
+
+    // Setup keyboard navigation
+    setupKeyboardNavigation() {
+        document.addEventListener('keydown', (e) => {
+            // Escape key closes modals/dropdowns
+            if (e.key === 'Escape') {
+                this.closeAllModals();
+                this.closeAllDropdowns();
+            }
+            
             // Enter key activates buttons
             if (e.key === 'Enter' && e.target.matches('button, [role="button"]')) {
                 e.target.click();
             }
         });
-    },
+    },
+
+    // Setup focus management
+    setupFocusManagement() {
+        // Trap focus in modals
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                const modal = document.querySelector('.modal.active');
+                if (modal) {
+                    this.trapFocus(e, modal);
+                }
+            }
+        });
+    },
+
+    // Trap focus within element
+    trapFocus(e, element) {
+        const focusableElements = element.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+        
+        if (e.shiftKey) {
+            if (document.activeElement === firstElement) {
+                lastElement.focus();
+                e.preventDefault();
+            }
+        } else {
+            if (document.activeElement === lastElement) {
+                firstElement.focus();
+                e.preventDefault();
+            }
+        }
+    },
+
+    // Setup ARIA live regions
+    setupLiveRegions() {
+        const liveRegion = document.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.className = 'sr-only';
+        liveRegion.id = 'live-region';
+        document.body.appendChild(liveRegion);
+    },
+
+    // Announce to screen readers
+    announceToScreenReader(message) {
+        const liveRegion = document.getElementById('live-region');
+        if (liveRegion) {
+            liveRegion.textContent = message;
+            
+            // Clear after announcement
+            setTimeout(() => {
+                liveRegion.textContent = '';
+            }, 1000);
+        }
+    },
+
+    // Setup analytics - GA4 ecommerce events through gtag, or the dataLayer (GTM) without it
+    setupAnalytics() {
+        // Track page views
+        this.trackPageView();
+        
+        // Track product list views, selections and form submissions
+        this.trackUserInteractions();
+        this.observeItemLists();
+        
+        // Product pages describe themselves in <script type="application/json" data-product-view>
+        const viewData = document.querySelector('script[data-product-view]');
+        if (viewData) {
+            try {
+                this.trackViewItem(JSON.parse(viewData.textContent));
+            } catch (error) {
+                console.warn('Invalid product view data:', error);
+            }
+        }
+        
+        // Track performance metrics
+        this.trackPerformanceMetrics();
+    },
+
+    // Track page view
+    trackPageView() {
+        const { measurementId } = this.config.analytics;
+        const params = {
+            page_title: document.title,
+            page_location: window.location.href
+        };
+
+        // gtag sends the page_view itself when configured
+        if (typeof gtag === 'function') {
+            if (measurementId) {
+                gtag('config', measurementId, params);
+            }
+        } else {
+            this.track('page_view', params);
+        }
+    },
+
+    // Send an analytics event to gtag, falling back to the dataLayer for tag managers
+    track(name, params = {}) {
+        if (typeof gtag === 'function') {
+            gtag('event', name, params);
+            return;
+        }
+
+        window.dataLayer = window.dataLayer || [];
+
+        if (params.items) {
+            // Clear the previous ecommerce object so item arrays don't merge
+            window.dataLayer.push({ ecommerce: null });
+            window.dataLayer.push({ event: name, ecommerce: params });
+        } else {
+            window.dataLayer.push({ event: name, ...params });
+        }
+    },
+
+    // GA4 item; product is a snapshot-like { id, name, brand, variant, price }
+    getAnalyticsItem(product, { quantity = 1, index, list } = {}) {
+        const item = {
+            item_id: String(product.id),
+            item_name: product.name,
+            item_brand: product.brand,
+            item_variant: product.variant,
+            price: this.parseAmount(product.price),
+            quantity,
+            index,
+            item_list_id: list && list.id,
+            item_list_name: list && list.name
+        };
+
+        Object.keys(item).forEach(key => {
+            if (item[key] === undefined || item[key] === null || item[key] === '' || Number.isNaN(item[key])) {
+                delete item[key];
+            }
+        });
+
+        return item;
+    },
+
+    // Card or quick view details (see getProductSnapshot) plus brand and the chosen variant
+    getAnalyticsItemFromElement(element, productId, options) {
+        const snapshot = this.getProductSnapshot(element, productId);
+        const container = element && element.closest('.product-card, .quick-view__content');
+        const brand = container && container.querySelector('.product-card__brand .brand-link');
+        const variantState = container && this.variantStates.get(container);
+        let variant;
+
+        if (variantState && variantState.variant) {
+            variant = Array.from(container.querySelectorAll('.variant-option[aria-pressed="true"]'))
+                .map(button => button.textContent.trim())
+                .join(' / ') || String(variantState.variant.id);
+        }
+
+        return this.getAnalyticsItem({
+            ...snapshot,
+            brand: brand ? brand.textContent.trim() : undefined,
+            variant
+        }, options);
+    },
+
+    // currency/value/items for ecommerce events
+    getEcommerceParams(items) {
+        return {
+            currency: this.config.money.currency,
+            value: Math.round(items.reduce((total, item) => total + (item.price || 0) * item.quantity, 0) * 100) / 100,
+            items
+        };
+    },
+
+    // The section a card is listed in: [data-item-list-name] or its heading
+    getItemList(card) {
+        const section = card.closest('[data-item-list-name], section');
+
+        if (!section) {
+            return { id: 'other', name: document.title };
+        }
+
+        const title = section.querySelector('.section-title, h1, h2');
+
+        return {
+            id: section.id || undefined,
+            name: section.dataset.itemListName || (title ? title.textContent.trim() : section.id),
+            index: Array.from(section.querySelectorAll('.product-card')).indexOf(card)
+        };
+    },
+
+    trackViewItem(product) {
+        const item = this.getAnalyticsItem({
+            ...this.toProductSnapshot(product),
+            brand: product.brand ? product.brand.name || product.brand : undefined
+        });
+
+        this.track('view_item', this.getEcommerceParams([item]));
+    },
+
+    // A cart line changed by delta units: add_to_cart or remove_from_cart
+    trackCartChange(item, delta) {
+        if (delta === 0) {
+            return;
+        }
+
+        const analyticsItem = this.getAnalyticsItem({
+            id: item.productId,
+            name: item.name,
+            variant: item.variantName,
+            price: item.price
+        }, { quantity: Math.abs(delta) });
+
+        this.track(delta > 0 ? 'add_to_cart' : 'remove_from_cart', this.getEcommerceParams([analyticsItem]));
+    },
+
+    // Report product cards once per list as they scroll into view, batched into view_item_list
+    observeItemLists(root = document) {
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+
+        if (!this.itemListObserver) {
+            this.itemListObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.itemListObserver.unobserve(entry.target);
+                        this.pendingListViews.push(entry.target);
+                    }
+                });
+
+                clearTimeout(this.listViewTimer);
+                this.listViewTimer = setTimeout(() => this.flushItemListViews(), this.config.analytics.listViewDelay);
+            }, {
+                threshold: this.config.analytics.listViewThreshold
+            });
+        }
+
+        root.querySelectorAll('.product-card[data-product-id]').forEach(card => {
+            this.itemListObserver.observe(card);
+        });
+    },
+
+    flushItemListViews() {
+        const lists = new Map();
+
+        this.pendingListViews.splice(0).forEach(card => {
+            if (!document.contains(card)) {
+                return;
+            }
+
+            const list = this.getItemList(card);
+            const key = `${list.id}|${list.name}`;
+            const reportKey = `${key}|${card.dataset.productId}`;
+
+            // Re-rendered rails create new cards for the same products
+            if (this.reportedListItems.has(reportKey)) {
+                return;
+            }
+            this.reportedListItems.add(reportKey);
+
+            if (!lists.has(key)) {
+                lists.set(key, { list, items: [] });
+            }
+            lists.get(key).items.push(this.getAnalyticsItemFromElement(card, card.dataset.productId, { index: list.index, list }));
+        });
+
+        lists.forEach(({ list, items }) => {
+            this.track('view_item_list', {
+                item_list_id: list.id,
+                item_list_name: list.name,
+                items
+            });
+        });
+    },
+
+    // Track user interactions
+    trackUserInteractions() {
+        // Product selected from a list (links and quick view; other card buttons are not selections)
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.product-card a[href], .product-card [data-action="quick-view"]');
+            const action = e.target.closest('[data-action]');
+
+            if (!link || (action && action.dataset.action !== 'quick-view')) {
+                return;
+            }
+
+            const card = link.closest('.product-card');
+            const list = this.getItemList(card);
+
+            this.track('select_item', {
+                item_list_id: list.id,
+                item_list_name: list.name,
+                items: [this.getAnalyticsItemFromElement(card, card.dataset.productId, { index: list.index, list })]
+            });
+        });
+        
+        // Track form submissions
+        document.addEventListener('submit', (e) => {
+            const form = e.target;
+            if (form) {
+                this.track('form_submit', {
+                    event_category: 'Form',
+                    event_label: form.id || form.className
+                });
+            }
+        });
+    },
+
+    // Track performance metrics
+    trackPerformanceMetrics() {
+        window.addEventListener('load', () => {
+            setTimeout(() => {
+                const perfData = performance.getEntriesByType('navigation')[0];
+                
+                if (perfData) {
+                    this.track('page_load_time', {
+                        event_category: 'Performance',
+                        value: Math.round(perfData.loadEventEnd - perfData.fetchStart),
+                        non_interaction: true
+                    });
+                }
+            }, 0);
+        });
+    },
+
+    // Service worker cache fallbacks carry X-From-Cache (see markFromCache in sw.js)
+    isCachedResponse(response) {
+        return response.headers.get('X-From-Cache') === 'true';
+    },
+
+    // Record whether a source is showing saved data and update the indicator
+    trackDataFreshness(source, response) {
+        if (this.isCachedResponse(response)) {
+            this.staleSources.set(source, parseInt(response.headers.get('Age'), 10) || 0);
+        } else {
+            this.staleSources.delete(source);
+        }
+
+        this.updateStaleIndicator();
+        return response;
+    },
+
+    updateStaleIndicator() {
+        let indicator = document.getElementById('stale-data-indicator');
+
+        if (this.staleSources.size === 0) {
+            if (indicator) {
+                indicator.hidden = true;
+            }
+            return;
+        }
+
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.id = 'stale-data-indicator';
+            indicator.className = 'stale-data-indicator';
+            indicator.setAttribute('role', 'status');
+            document.body.appendChild(indicator);
+        }
+
+        const age = Math.max(...this.staleSources.values());
+        indicator.textContent = age > 0
+            ? this.t('common.staleDataAge', { age: this.formatRelativeTime(age) })
+            : this.t('common.staleData');
+        indicator.hidden = false;
+    },
+
+    // "5 minutes ago" in the UI language
+    formatRelativeTime(seconds) {
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+        const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds) || units[3];
+        const format = new Intl.RelativeTimeFormat(this.getFormatLocale(), {
+            numeric: 'auto',
+            numberingSystem: this.config.money.numberingSystem
+        });
+
+        return format.format(-Math.floor(seconds / size), unit);
+    },
+
+    // Utility functions
+    // Escape a value for HTML text and quoted attribute contexts
+    escapeHTML(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        const entities = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;',
+            '`': '&#96;'
+        };
+
+        return String(value).replace(/[&<>"'`]/g, char => entities[char]);
+    },
+
+    // Allow-list URL schemes for href/src; relative URLs pass through
+    sanitizeURL(value, { allowDataImages = false, fallback = '#' } = {}) {
+        const url = String(value === null || value === undefined ? '' : value).trim();
+
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const compact = url.replace(/[\u0000-\u0020\u007F-\u009F]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+
+        if (!scheme) {
+            return url;
+        }
+
+        if (['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) {
+            return url;
+        }
+
+        if (allowDataImages && /^data:image\/(png|jpe?g|gif|webp|avif|svg\+xml)[;,]/i.test(compact)) {
+            return url;
+        }
+
+        return fallback;
+    },
+
+    // Mark a string as safe markup for html``
+    trustedHTML(markup) {
+        const trusted = {
+            __html: String(markup),
+            toString() {
+                return this.__html;
+            }
+        };
+
+        this.trustedMarkup.add(trusted);
+        return trusted;
+    },
+
+    // Tagged template used by every dynamic renderer:
+    // interpolations are escaped, href/src values are scheme-checked,
+    // nested html`` results, trustedHTML() and arrays of them are kept as markup
+    html(strings, ...values) {
+        let output = strings[0];
+
+        values.forEach((value, index) => {
+            const urlAttribute = /\s(href|src)=["']?$/i.exec(output);
+            output += this.renderTemplateValue(value, urlAttribute ? urlAttribute[1].toLowerCase() : null);
+            output += strings[index + 1];
+        });
+
+        return this.trustedHTML(output);
+    },
+
+    renderTemplateValue(value, urlAttribute) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.renderTemplateValue(item, urlAttribute)).join('');
+        }
+
+        if (this.trustedMarkup.has(value)) {
+            return value.__html;
+        }
+
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+
+        if (urlAttribute) {
+            return this.escapeHTML(this.sanitizeURL(value, {
+                allowDataImages: urlAttribute === 'src',
+                fallback: urlAttribute === 'src' ? '' : '#'
+            }));
+        }
+
+        return this.escapeHTML(value);
+    },
+
+    getCSRFToken() {
+        const token = document.querySelector('meta[name="csrf-token"]');
+        return token ? token.getAttribute('content') : '';
+    },
+
+    // Show notification
+    showNotification(message, type = 'info', duration = 3000) {
+        const notification = document.createElement('div');
+        notification.className = `notification notification--${type}`;
+        notification.textContent = message;
+        
+        const colors = {
+            success: '#4CAF50',
+            error: '#f44336',
+            warning: '#ff9800',
+            info: '#2196F3'
+        };
+        
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: ${colors[type] || colors.info};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+            z-index: 10000;
+            font-size: 14px;
+            font-weight: 500;
+            transform: translateX(100%);
+            transition: transform 0.3s ease;
+            max-width: 300px;
+            word-wrap: break-word;
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Animate in
+        requestAnimationFrame(() => {
+            notification.style.transform = 'translateX(0)';
+        });
+        
+        // Auto remove
+        setTimeout(() => {
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        }, duration);
+        
+        // Announce to screen readers
+        this.announceToScreenReader(message);
+    },
+
+    // Close all modals
+    closeAllModals() {
+        document.querySelectorAll('.modal.active').forEach(modal => {
+            modal.classList.remove('active');
+            modal.dispatchEvent(new CustomEvent('modalClosed'));
+        });
+    },
+
+    // Close all dropdowns
+    closeAllDropdowns() {
+        document.querySelectorAll('.dropdown.active').forEach(dropdown => {
+            dropdown.classList.remove('active');
+        });
+    },
+
+    // Setup intersection observer for animations
+    setupIntersectionObserver() {
+        if ('IntersectionObserver' in window) {
+            const animationObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('animate-in');
+                        animationObserver.unobserve(entry.target);
+                    }
+                });
+            }, {
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            });
+            
+            document.querySelectorAll('[data-animate]').forEach(element => {
+                animationObserver.observe(element);
+            });
+        }
+    },
+
+    // Setup service worker for caching
+    setupServiceWorker() {
+        if ('serviceWorker' in navigator) {
+            window.addEventListener('load', () => {
+                // The build hash versions the worker's cache names
+                const buildHash = encodeURIComponent(this.settings.build_hash || 'dev');
+
+                navigator.serviceWorker.register(`/sw.js?v=${buildHash}`)
+                    .then(registration => {
+                        console.log('SW registered: ', registration);
+                        this.watchServiceWorkerUpdates(registration);
+                        this.syncCsrfTokenToServiceWorker();
+                    })
+                    .catch(registrationError => {
+                        console.log('SW registration failed: ', registrationError);
+                    });
+            });
+
+            // Reload once, and only after the shopper accepted the update -
+            // the first install's clients.claim() also fires this event
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                this.hideUpdatePrompt();
+
+                if (this.updateAccepted && !reloading) {
+                    reloading = true;
+                    window.location.reload();
+                }
+            });
+        }
+    },
+
+    // Background sync replays queued requests with the latest token the worker has seen
+    syncCsrfTokenToServiceWorker() {
+        const csrfToken = this.getCSRFToken();
+
+        if (!csrfToken) {
+            return;
+        }
+
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({ type: 'SET_CSRF_TOKEN', csrfToken });
+                }
+            })
+            .catch(error => console.warn('Failed to sync CSRF token to service worker:', error));
+    },
+
+    // A new worker is "waiting" once installed while an older one controls the page
+    watchServiceWorkerUpdates(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+    },
+
+    showUpdatePrompt(worker) {
+        const { checkoutPattern, dismissedKey } = this.config.serviceWorker;
+
+        // Mid-checkout the update waits for the next page load
+        if (checkoutPattern.test(window.location.pathname) || this.readSessionFlag(dismissedKey)) {
+            return;
+        }
+
+        let prompt = document.getElementById('sw-update-prompt');
+
+        if (!prompt) {
+            prompt = document.createElement('div');
+            prompt.id = 'sw-update-prompt';
+            prompt.className = 'sw-update-prompt';
+            prompt.setAttribute('role', 'status');
+            document.body.appendChild(prompt);
+        }
+
+        prompt.innerHTML = this.html`
+            <span class="sw-update-prompt__text">${this.t('update.available')}</span>
+            <button type="button" class="btn btn-primary sw-update-prompt__refresh">${this.t('update.refresh')}</button>
+            <button type="button" class="sw-update-prompt__dismiss">${this.t('update.later')}</button>
+        `;
+
+        prompt.querySelector('.sw-update-prompt__refresh').addEventListener('click', () => {
+            this.updateAccepted = true;
+            prompt.querySelector('.sw-update-prompt__refresh').disabled = true;
+
+            // The worker checks every open tab, since another one may be mid-checkout
+            const channel = new MessageChannel();
+            channel.port1.onmessage = (event) => {
+                channel.port1.close();
+
+                if (event.data && event.data.skipped === false) {
+                    this.updateAccepted = false;
+                    prompt.innerHTML = this.html`
+                        <span class="sw-update-prompt__text">${this.t('update.afterCheckout')}</span>
+                        <button type="button" class="sw-update-prompt__dismiss">${this.t('common.close')}</button>
+                    `;
+                    prompt.querySelector('.sw-update-prompt__dismiss').addEventListener('click', () => this.hideUpdatePrompt());
+                }
+            };
+            worker.postMessage({ type: 'SKIP_WAITING', checkoutPattern: checkoutPattern.source }, [channel.port2]);
+        });
+
+        prompt.querySelector('.sw-update-prompt__dismiss').addEventListener('click', () => {
+            this.writeSessionFlag(dismissedKey);
+            this.hideUpdatePrompt();
+        });
+    },
+
+    // Web Storage throws in some privacy modes and sandboxed frames, even on access;
+    // area is 'localStorage' or 'sessionStorage'. Reads give null when unavailable.
+    readStorage(key, area = 'localStorage') {
+        try {
+            return window[area].getItem(key);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    writeStorage(key, value, area = 'localStorage') {
+        try {
+            window[area].setItem(key, value);
+        } catch (error) {
+            console.warn(`Failed to store ${key}:`, error);
+        }
+    },
+
+    removeStorage(key, area = 'localStorage') {
+        try {
+            window[area].removeItem(key);
+        } catch (error) {
+            console.warn(`Failed to remove ${key}:`, error);
+        }
+    },
+
+    readSessionFlag(key) {
+        return Boolean(this.readStorage(key, 'sessionStorage'));
+    },
+
+    writeSessionFlag(key) {
+        this.writeStorage(key, 'true', 'sessionStorage');
+    },
+
+    hideUpdatePrompt() {
+        const prompt = document.getElementById('sw-update-prompt');
+        if (prompt) {
+            prompt.remove();
+        }
+    },
+
+    // Push notifications - contextual soft-ask, VAPID subscription and topic preferences
+    setupPushNotifications() {
+        if (!this.isPushSupported()) {
+            return;
+        }
+
+        // Pages such as the order confirmation opt in with data-push-soft-ask
+        const softAskTrigger = document.querySelector('[data-push-soft-ask]');
+        if (softAskTrigger) {
+            this.maybeShowPushSoftAsk(softAskTrigger.dataset.pushSoftAsk || 'page');
+        }
+
+        document.querySelectorAll('[data-push-preferences]').forEach(container => {
+            this.renderPushPreferences(container);
+        });
+
+        // Keeps the worker's endpoints and CSRF token current for subscribers
+        this.getPushSubscription()
+            .then(subscription => {
+                if (subscription) {
+                    this.syncPushConfigToServiceWorker();
+                }
+            })
+            .catch(error => console.warn('Push subscription unavailable:', error));
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'NOTIFICATION_CLICK') {
+                this.track('notification_open', {
+                    event_category: 'Push',
+                    event_label: e.data.campaign || e.data.action
+                });
+            }
+        });
+    },
+
+    isPushSupported() {
+        return Boolean(this.config.push.vapidPublicKey)
+            && 'serviceWorker' in navigator
+            && 'PushManager' in window
+            && 'Notification' in window;
+    },
+
+    async getPushSubscription() {
+        const registration = await navigator.serviceWorker.ready;
+        return registration.pushManager.getSubscription();
+    },
+
+    // Ask only in context, once per cooldown, and never over a browser "denied"
+    async maybeShowPushSoftAsk(context) {
+        const { softAskKey, softAskCooldownDays } = this.config.push;
+
+        if (!this.isPushSupported() || Notification.permission !== 'default' || document.getElementById('push-soft-ask')) {
+            return;
+        }
+
+        const lastAsked = parseInt(this.readStorage(softAskKey), 10) || 0;
+        if (Date.now() - lastAsked < softAskCooldownDays * 24 * 60 * 60 * 1000) {
+            return;
+        }
+
+        if (await this.getPushSubscription()) {
+            return;
+        }
+
+        this.writeStorage(softAskKey, String(Date.now()));
+        this.track('push_prompt', { event_category: 'Push', event_label: context });
+
+        const prompt = document.createElement('div');
+        prompt.id = 'push-soft-ask';
+        prompt.className = 'push-soft-ask';
+        prompt.setAttribute('role', 'dialog');
+        prompt.setAttribute('aria-labelledby', 'push-soft-ask-title');
+        prompt.innerHTML = this.html`
+            <p class="push-soft-ask__title" id="push-soft-ask-title">${this.t(`push.softAsk.${context}`, {}, this.t('push.softAsk.page'))}</p>
+            <fieldset class="push-soft-ask__topics">
+                <legend class="sr-only">${this.t('push.topicsLabel')}</legend>
+                ${this.config.push.topics.map(topic => this.html`
+                    <label>
+                        <input type="checkbox" name="topic" value="${topic}" checked>
+                        ${this.t(`push.topics.${topic}`)}
+                    </label>
+                `)}
+            </fieldset>
+            <div class="push-soft-ask__actions">
+                <button type="button" class="btn btn-primary" data-push-allow>${this.t('push.allow')}</button>
+                <button type="button" class="push-soft-ask__later" data-push-later>${this.t('push.later')}</button>
+            </div>
+        `;
+
+        prompt.addEventListener('click', async (e) => {
+            if (e.target.closest('[data-push-allow]')) {
+                const topics = Array.from(prompt.querySelectorAll('input[name="topic"]:checked')).map(input => input.value);
+                prompt.remove();
+                await this.subscribeToPush(topics);
+            } else if (e.target.closest('[data-push-later]')) {
+                this.track('push_prompt_dismiss', { event_category: 'Push', event_label: context });
+                prompt.remove();
+            }
+        });
+
+        document.body.appendChild(prompt);
+    },
+
+    // Must run from a user gesture: requestPermission is ignored otherwise
+    async subscribeToPush(topics = this.config.push.topics) {
+        const permission = await Notification.requestPermission();
+        this.track('push_permission', { event_category: 'Push', event_label: permission });
+
+        if (permission !== 'granted') {
+            return null;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = (await registration.pushManager.getSubscription())
+                || await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: this.urlBase64ToUint8Array(this.config.push.vapidPublicKey)
+                });
+
+            await this.savePushSubscription('POST', this.getPushSubscriptionPayload(subscription, topics));
+            this.storePushTopics(topics);
+            this.syncPushConfigToServiceWorker();
+
+            this.showNotification(this.t('push.subscribed'), 'success');
+            return subscription;
+        } catch (error) {
+            console.error('Push subscription failed:', error);
+            this.showNotification(this.t('push.subscribeError'), 'error');
+            return null;
+        }
+    },
+
+    async unsubscribeFromPush() {
+        const subscription = await this.getPushSubscription();
+
+        if (!subscription) {
+            return;
+        }
+
+        try {
+            await this.savePushSubscription('DELETE', { endpoint: subscription.endpoint });
+        } catch (error) {
+            console.error('Failed to remove push subscription on the server:', error);
+        }
+
+        await subscription.unsubscribe();
+        this.storePushTopics([]);
+        this.track('push_unsubscribe', { event_category: 'Push' });
+    },
+
+    async updatePushTopics(topics) {
+        const subscription = await this.getPushSubscription();
+
+        if (!subscription) {
+            return this.subscribeToPush(topics);
+        }
+
+        await this.savePushSubscription('PUT', { endpoint: subscription.endpoint, topics });
+        this.storePushTopics(topics);
+        this.syncPushConfigToServiceWorker();
+        return subscription;
+    },
+
+    // Body of the POST that registers a subscription; the service worker sends the same
+    // shape when the browser rotates it (pushsubscriptionchange)
+    getPushSubscriptionPayload(subscription, topics) {
+        return { subscription: subscription.toJSON(), topics, locale: this.config.i18n.locale };
+    },
+
+    // What the worker needs to re-register a rotated subscription and report notification events
+    syncPushConfigToServiceWorker() {
+        const { endpoint, eventsEndpoint } = this.config.push;
+
+        navigator.serviceWorker.ready
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({
+                        type: 'SET_PUSH_CONFIG',
+                        endpoint,
+                        eventsEndpoint,
+                        topics: this.getPushTopics(),
+                        locale: this.config.i18n.locale,
+                        csrfToken: this.getCSRFToken()
+                    });
+                }
+            })
+            .catch(error => console.warn('Failed to sync push settings to service worker:', error));
+    },
+
+    async savePushSubscription(method, payload) {
+        const response = await fetch(this.config.push.endpoint, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-TOKEN': this.getCSRFToken()
+            },
+            body: JSON.stringify({ locale: this.config.i18n.locale, ...payload })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Push endpoint responded ${response.status}`);
+        }
+
+        return response;
+    },
+
+    getPushTopics() {
+        try {
+            return JSON.parse(this.readStorage(this.config.push.topicsKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    storePushTopics(topics) {
+        this.writeStorage(this.config.push.topicsKey, JSON.stringify(topics));
+        document.querySelectorAll('[data-push-preferences]').forEach(container => {
+            this.renderPushPreferences(container);
+        });
+    },
+
+    // Topic toggles for account pages: <div data-push-preferences></div>
+    async renderPushPreferences(container) {
+        const subscribed = Boolean(await this.getPushSubscription());
+        const activeTopics = subscribed ? this.getPushTopics() : [];
+
+        container.innerHTML = this.html`
+            <fieldset class="push-preferences">
+                <legend>${this.t('push.topicsLabel')}</legend>
+                ${this.config.push.topics.map(topic => this.html`
+                    <label class="push-preferences__topic">
+                        <input type="checkbox" value="${topic}" ${activeTopics.includes(topic) ? 'checked' : ''} ${Notification.permission === 'denied' ? 'disabled' : ''}>
+                        ${this.t(`push.topics.${topic}`)}
+                    </label>
+                `)}
+                ${Notification.permission === 'denied' ? this.html`<p class="push-preferences__blocked">${this.t('push.blocked')}</p>` : ''}
+            </fieldset>
+        `;
+
+        if (!container.dataset.pushBound) {
+            container.dataset.pushBound = 'true';
+            container.addEventListener('change', async () => {
+                const topics = Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+
+                try {
+                    if (topics.length > 0) {
+                        await this.updatePushTopics(topics);
+                    } else {
+                        await this.unsubscribeFromPush();
+                    }
+                } catch (error) {
+                    // The server kept the old topics; put the checkboxes back
+                    console.error('Failed to update push topics:', error);
+                    this.showNotification(this.t('push.subscribeError'), 'error');
+                    this.renderPushPreferences(container);
+                }
+            });
+        }
+    },
+
+    // VAPID keys are URL-safe base64; PushManager wants bytes
+    urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = window.atob(base64);
+
+        return Uint8Array.from(raw, char => char.charCodeAt(0));
+    },
+
+    // Back-in-stock alerts - data-action="notify-restock" on out-of-stock products and variants
+    setupRestockAlerts() {
+        // Also fires once the first dictionary has loaded
+        document.addEventListener('localeChanged', () => this.refreshRestockViews());
+
+        // Manage-list removals
+        document.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-restock-remove]');
+
+            if (removeButton) {
+                e.preventDefault();
+                this.unsubscribeFromRestock(removeButton.dataset.productId, removeButton.dataset.variantId || null);
+            }
+        });
+    },
+
+    getRestockSubscriptions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.restock.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    findRestockSubscription(productId, variantId) {
+        return this.getRestockSubscriptions().find(entry => (
+            String(entry.productId) === String(productId)
+            && String(entry.variantId || '') === String(variantId || '')
+        ));
+    },
+
+    storeRestockSubscriptions(subscriptions) {
+        try {
+            localStorage.setItem(this.config.restock.storageKey, JSON.stringify(subscriptions));
+        } catch (error) {
+            console.warn('Failed to store restock alerts:', error);
+        }
+
+        this.refreshRestockViews();
+    },
+
+    refreshRestockViews() {
+        this.applyRestockStates();
+        document.querySelectorAll('[data-restock-subscriptions]').forEach(container => {
+            this.renderRestockSubscriptions(container);
+        });
+    },
+
+    // "You'll be notified" on buttons the shopper already used
+    applyRestockStates(root = document) {
+        root.querySelectorAll('[data-action="notify-restock"]').forEach(button => {
+            const isSubscribed = Boolean(this.findRestockSubscription(button.dataset.productId, button.dataset.variantId));
+            const label = button.querySelector('.notify-restock-btn__label') || button;
+
+            button.classList.toggle('is-subscribed', isSubscribed);
+            label.textContent = this.t(isSubscribed ? 'restock.notifying' : 'restock.notifyMe');
+        });
+    },
+
+    // Contact details are kept only in masked form on the device
+    maskContact(channel, value) {
+        if (channel === 'email') {
+            const [name, domain] = value.split('@');
+            return `${name.slice(0, 2)}***@${domain}`;
+        }
+
+        if (channel === 'sms') {
+            return `***${value.replace(/\D/g, '').slice(-4)}`;
+        }
+
+        return '';
+    },
+
+    async openRestockForm(button) {
+        const { productId, variantId } = button.dataset;
+        const container = button.closest('.product-card, .quick-view__content');
+        const titleElement = container && container.querySelector('.product-card__title, .quick-view__title');
+        const productName = titleElement ? titleElement.textContent.trim() : '';
+
+        // Hand over from the quick view, like add-to-cart does for the mini-cart
+        if (button.closest('#quick-view')) {
+            this.closeQuickView();
+        }
+
+        const modal = this.getRestockModal();
+        this.restockTrigger = button.closest('#quick-view') ? null : button;
+        this.renderRestockForm(modal, { productId, variantId: variantId || null, productName });
+
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+
+        const firstField = modal.querySelector('input:not([disabled]), button');
+        if (firstField) {
+            firstField.focus();
+        }
+    },
+
+    getRestockModal() {
+        let modal = document.getElementById('restock-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'restock-modal';
+            modal.className = 'modal restock';
+            modal.setAttribute('aria-hidden', 'true');
+            modal.innerHTML = this.html`
+                <div class="restock__backdrop" data-restock-close></div>
+                <div class="restock__dialog" role="dialog" aria-modal="true" aria-labelledby="restock-title">
+                    <button type="button" class="restock__close" data-restock-close aria-label="${this.t('common.close')}">×</button>
+                    <div class="restock__content"></div>
+                </div>
+            `;
+
+            modal.addEventListener('click', (e) => {
+                if (e.target.closest('[data-restock-close]')) {
+                    this.closeRestockForm();
+                }
+            });
+
+            // Escape and closeAllModals() go through the same cleanup
+            modal.addEventListener('modalClosed', () => this.onRestockFormClosed());
+
+            document.body.appendChild(modal);
+        }
+
+        return modal;
+    },
+
+    renderRestockForm(modal, product) {
+        const content = modal.querySelector('.restock__content');
+        const subscription = this.findRestockSubscription(product.productId, product.variantId);
+        const pushAvailable = this.isPushSupported() && Notification.permission !== 'denied';
+
+        if (subscription) {
+            content.innerHTML = this.html`
+                <h2 class="restock__title" id="restock-title">${this.t('restock.title')}</h2>
+                <p class="restock__description">
+                    ${this.t(`restock.subscribedVia.${subscription.channel}`, { contact: subscription.contact })}
+                </p>
+                <button type="button" class="btn btn-outline restock__cancel">${this.t('restock.cancel')}</button>
+                ${this.config.restock.manageUrl ? this.html`
+                    <a href="${this.config.restock.manageUrl}" class="restock__manage">${this.t('restock.manage')}</a>
+                ` : ''}
+            `;
+
+            content.querySelector('.restock__cancel').addEventListener('click', async () => {
+                await this.unsubscribeFromRestock(product.productId, product.variantId);
+                this.closeRestockForm();
+            });
+            return;
+        }
+
+        content.innerHTML = this.html`
+            <h2 class="restock__title" id="restock-title">${this.t('restock.title')}</h2>
+            <p class="restock__description">${this.t('restock.description', { name: product.productName })}</p>
+            <form class="restock__form" novalidate>
+                <fieldset class="restock__channels">
+                    <legend>${this.t('restock.channel')}</legend>
+                    <label><input type="radio" name="channel" value="email" checked> ${this.t('restock.channels.email')}</label>
+                    <label><input type="radio" name="channel" value="sms"> ${this.t('restock.channels.sms')}</label>
+                    ${pushAvailable ? this.html`<label><input type="radio" name="channel" value="push"> ${this.t('restock.channels.push')}</label>` : ''}
+                </fieldset>
+                <div class="restock__field" data-channel-field="email">
+                    <label for="restock-email">${this.t('restock.email')}</label>
+                    <input type="email" id="restock-email" name="email" autocomplete="email" required>
+                </div>
+                <div class="restock__field" data-channel-field="sms" hidden>
+                    <label for="restock-phone">${this.t('restock.phone')}</label>
+                    <input type="tel" id="restock-phone" name="phone" autocomplete="tel" required disabled>
+                </div>
+                <button type="submit" class="btn btn-primary restock__submit">${this.t('restock.submit')}</button>
+            </form>
+        `;
+
+        const form = content.querySelector('form');
+
+        // Only the selected channel's field is enabled, so validation skips the others
+        form.addEventListener('change', (e) => {
+            if (e.target.name !== 'channel') {
+                return;
+            }
+
+            form.querySelectorAll('[data-channel-field]').forEach(field => {
+                const isActive = field.dataset.channelField === e.target.value;
+                const input = field.querySelector('input');
+
+                field.hidden = !isActive;
+                input.disabled = !isActive;
+                if (!isActive) {
+                    this.clearFieldError(input);
+                }
+            });
+        });
+
+        form.querySelectorAll('input:not([type="radio"])').forEach(input => {
+            input.addEventListener('blur', () => this.validateField(input));
+            input.addEventListener('input', () => this.clearFieldError(input));
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            if (!(await this.validateForm(form))) {
+                return;
+            }
+
+            const channel = form.elements.channel.value;
+            const contact = channel === 'email'
+                ? form.elements.email.value.trim()
+                : channel === 'sms' ? this.validation.getValue(form.elements.phone) : '';
+            const submitButton = form.querySelector('.restock__submit');
+
+            submitButton.disabled = true;
+            const subscribed = await this.subscribeToRestock({ ...product, channel, contact });
+            submitButton.disabled = false;
+
+            if (subscribed) {
+                this.closeRestockForm();
+            }
+        });
+    },
+
+    async subscribeToRestock({ productId, variantId, productName, channel, contact }) {
+        const payload = {
+            product_id: productId,
+            variant_id: variantId,
+            channel,
+            locale: this.config.i18n.locale
+        };
+
+        if (channel === 'email') {
+            payload.email = contact;
+        } else if (channel === 'sms') {
+            payload.phone = contact;
+        } else {
+            const topics = Array.from(new Set([...this.getPushTopics(), 'back-in-stock']));
+            const pushSubscription = await this.subscribeToPush(topics);
+
+            if (!pushSubscription) {
+                return false;
+            }
+            payload.push_endpoint = pushSubscription.endpoint;
+        }
+
+        try {
+            const data = await this.sendMutation(this.config.restock.endpoint, payload, {
+                type: 'restock-subscribe',
+                dedupeKey: `restock:${productId}:${variantId || ''}`
+            });
+
+            if (!data.queued && !data.success) {
+                this.showNotification(data.message || this.t('restock.error'), 'error');
+                return false;
+            }
+
+            const subscriptions = this.getRestockSubscriptions()
+                .filter(entry => !(String(entry.productId) === String(productId) && String(entry.variantId || '') === String(variantId || '')));
+
+            subscriptions.push({
+                productId,
+                variantId,
+                productName,
+                channel,
+                contact: this.maskContact(channel, contact),
+                createdAt: Date.now()
+            });
+
+            this.storeRestockSubscriptions(subscriptions);
+            this.showNotification(this.t('restock.subscribed'), 'success');
+            this.track('restock_subscribe', { event_category: 'Product', event_label: channel });
+            return true;
+        } catch (error) {
+            console.error('Restock subscription error:', error);
+            this.showNotification(this.t('restock.error'), 'error');
+            return false;
+        }
+    },
+
+    async unsubscribeFromRestock(productId, variantId) {
+        try {
+            const data = await this.sendMutation(`${this.config.restock.endpoint}/remove`, {
+                product_id: productId,
+                variant_id: variantId
+            }, {
+                type: 'restock-unsubscribe',
+                dedupeKey: `restock:${productId}:${variantId || ''}`
+            });
+
+            if (!data.queued && !data.success) {
+                this.showNotification(data.message || this.t('restock.error'), 'error');
+                return;
+            }
+
+            this.storeRestockSubscriptions(this.getRestockSubscriptions()
+                .filter(entry => !(String(entry.productId) === String(productId) && String(entry.variantId || '') === String(variantId || ''))));
+            this.showNotification(this.t('restock.cancelled'), 'info');
+        } catch (error) {
+            console.error('Restock unsubscribe error:', error);
+            this.showNotification(this.t('restock.error'), 'error');
+        }
+    },
+
+    // Manage list on the customer notifications page: <div data-restock-subscriptions></div>
+    renderRestockSubscriptions(container) {
+        const subscriptions = this.getRestockSubscriptions();
+
+        if (subscriptions.length === 0) {
+            container.innerHTML = this.html`<p class="restock-list__empty">${this.t('restock.empty')}</p>`;
+            return;
+        }
+
+        container.innerHTML = this.html`
+            <ul class="restock-list">
+                ${subscriptions.map(entry => this.html`
+                    <li class="restock-list__item">
+                        <span class="restock-list__name">${entry.productName}</span>
+                        <span class="restock-list__channel">${this.t(`restock.subscribedVia.${entry.channel}`, { contact: entry.contact })}</span>
+                        <button type="button" class="restock-list__remove" data-restock-remove data-product-id="${entry.productId}" data-variant-id="${entry.variantId || ''}">
+                            ${this.t('restock.cancel')}
+                        </button>
+                    </li>
+                `)}
+            </ul>
+        `;
+    },
+
+    closeRestockForm() {
+        const modal = document.getElementById('restock-modal');
+
+        if (modal && modal.classList.contains('active')) {
+            modal.classList.remove('active');
+            this.onRestockFormClosed();
+        }
+    },
+
+    onRestockFormClosed() {
+        const modal = document.getElementById('restock-modal');
+        modal.setAttribute('aria-hidden', 'true');
+
+        if (this.restockTrigger && document.contains(this.restockTrigger)) {
+            this.restockTrigger.focus();
+        }
+        this.restockTrigger = null;
+    },
+
+    // Recently viewed products - recorded from quick views and product pages, kept in IndexedDB
+    setupRecentlyViewed() {
+        if (!('indexedDB' in window)) {
+            return;
+        }
+
+        this.recentlyViewedReady = this.loadRecentlyViewed()
+            .then(() => {
+                // Product pages describe themselves in <script type="application/json" data-product-view>
+                const viewData = document.querySelector('script[data-product-view]');
+
+                if (viewData) {
+                    this.recordProductView(JSON.parse(viewData.textContent));
+                }
+
+                this.renderRecentlyViewedRails();
+                this.refreshRecentlyViewedPrices();
+            })
+            .catch(error => console.warn('Recently viewed products unavailable:', error));
+
+        this.registerOfflineSource('recently-viewed', () => this.recentlyViewed
+            .flatMap(product => [product.url, `/api/products/${product.id}`]));
+
+        // Also fires once the first dictionary has loaded
+        document.addEventListener('localeChanged', () => this.renderRecentlyViewedRails());
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-clear-recently-viewed]')) {
+                e.preventDefault();
+                this.clearRecentlyViewed();
+            }
+        });
+    },
+
+    openThemeDB() {
+        const { dbName, dbVersion, storeName } = this.config.recentlyViewed;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(storeName)) {
+                    const store = db.createObjectStore(storeName, { keyPath: 'id' });
+                    store.createIndex('viewedAt', 'viewedAt', { unique: false });
+                }
+            };
+        });
+    },
+
+    // Newest first, mirrored in this.recentlyViewed for synchronous rendering.
+    // Also trims the store, which other tabs may have grown past the limit.
+    async loadRecentlyViewed() {
+        const { storeName, limit } = this.config.recentlyViewed;
+        const db = await this.openThemeDB();
+        const store = db.transaction([storeName], 'readwrite').objectStore(storeName);
+
+        await this.trimRecentlyViewedStore(store, limit);
+        const products = await this.idbRequest(store.getAll());
+
+        db.close();
+        this.recentlyViewed = products.sort((a, b) => b.viewedAt - a.viewedAt).slice(0, limit);
+        return this.recentlyViewed;
+    },
+
+    // Delete all but the newest `keep` records, walking the viewedAt index newest first
+    trimRecentlyViewedStore(store, keep) {
+        return new Promise((resolve, reject) => {
+            const request = store.index('viewedAt').openCursor(null, 'prev');
+            let skipped = keep === 0;
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+
+                if (!cursor) {
+                    resolve();
+                } else if (!skipped) {
+                    skipped = true;
+                    cursor.advance(keep);
+                } else {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+    },
+
+    async recordProductView(product) {
+        if (!product || !product.id || !('indexedDB' in window)) {
+            return;
+        }
+
+        const { storeName, limit } = this.config.recentlyViewed;
+        const entry = {
+            ...this.toProductSnapshot(product),
+            viewedAt: Date.now(),
+            refreshedAt: Date.now()
+        };
+
+        // Keyed by product id, so a repeat view replaces the older record
+        this.recentlyViewed = [entry, ...this.recentlyViewed.filter(item => item.id !== entry.id)].slice(0, limit);
+
+        try {
+            const db = await this.openThemeDB();
+            const store = db.transaction([storeName], 'readwrite').objectStore(storeName);
+
+            // Evict in the same transaction, from what is stored rather than this tab's copy
+            await this.idbRequest(store.put(entry));
+            await this.trimRecentlyViewedStore(store, limit);
+            db.close();
+        } catch (error) {
+            console.warn('Failed to record product view:', error);
+        }
+    },
+
+    async storeRecentlyViewed(products) {
+        const { storeName } = this.config.recentlyViewed;
+        const db = await this.openThemeDB();
+        const store = db.transaction([storeName], 'readwrite').objectStore(storeName);
+
+        await Promise.all(products.map(product => this.idbRequest(store.put(product))));
+        db.close();
+    },
+
+    async clearRecentlyViewed() {
+        const { storeName } = this.config.recentlyViewed;
+
+        this.recentlyViewed = [];
+        this.renderRecentlyViewedRails();
+
+        try {
+            const db = await this.openThemeDB();
+            await this.idbRequest(db.transaction([storeName], 'readwrite').objectStore(storeName).clear());
+            db.close();
+        } catch (error) {
+            console.warn('Failed to clear recently viewed products:', error);
+        }
+    },
+
+    // Prices and stock move; refetch stale records while online
+    async refreshRecentlyViewedPrices() {
+        const { refreshInterval } = this.config.recentlyViewed;
+        const stale = this.recentlyViewed.filter(product => Date.now() - (product.refreshedAt || 0) > refreshInterval);
+
+        if (!navigator.onLine || stale.length === 0) {
+            return;
+        }
+
+        const results = await Promise.allSettled(stale.map(product => this.fetchQuickViewProduct(product.id)));
+        const updated = [];
+
+        results.forEach((result, index) => {
+            // Offline answers and missing products keep the stored record
+            if (result.status !== 'fulfilled') {
+                return;
+            }
+
+            const fresh = this.toProductSnapshot(result.value);
+            const entry = Object.assign(stale[index], {
+                name: fresh.name,
+                price: fresh.price,
+                currency: fresh.currency,
+                image: fresh.image || stale[index].image,
+                url: fresh.url || stale[index].url,
+                isOutOfStock: fresh.isOutOfStock,
+                refreshedAt: Date.now()
+            });
+
+            updated.push(entry);
+        });
+
+        if (updated.length > 0) {
+            this.renderRecentlyViewedRails();
+
+            try {
+                await this.storeRecentlyViewed(updated);
+            } catch (error) {
+                console.warn('Failed to store refreshed products:', error);
+            }
+        }
+    },
+
+    // <section data-recently-viewed hidden> with a [data-recently-viewed-list] inside
+    renderRecentlyViewedRails() {
+        const viewData = document.querySelector('script[data-product-view]');
+        let currentId = null;
+
+        if (viewData) {
+            try {
+                currentId = String(JSON.parse(viewData.textContent).id);
+            } catch (error) {
+                currentId = null;
+            }
+        }
+
+        // The product on screen is not "recently viewed" yet
+        const products = this.recentlyViewed.filter(product => product.id !== currentId);
+
+        document.querySelectorAll('[data-recently-viewed]').forEach(section => {
+            const list = section.querySelector('[data-recently-viewed-list]') || section;
+            const max = parseInt(section.dataset.recentlyViewed, 10) || this.config.recentlyViewed.limit;
+
+            section.hidden = products.length === 0;
+            list.innerHTML = this.html`${products.slice(0, max).map(product => this.renderProductCard(product))}`;
+
+            this.applyRestockStates(list);
+            this.applySavedOfflineStates(list);
+            this.observeItemLists(list);
+        });
+    },
+
+    // Flat product record kept on the device; accepts API products ({ image: { url } }) too
+    toProductSnapshot(product) {
+        return {
+            id: String(product.id),
+            name: product.name,
+            image: product.image && typeof product.image === 'object' ? product.image.url : product.image,
+            price: product.price,
+            currency: product.currency || this.config.money.currency,
+            url: product.url,
+            isOutOfStock: Boolean(product.is_out_of_stock || product.isOutOfStock)
+        };
+    },
+
+    // Same markup structure as partials/product-card.twig; actions replace the default buttons
+    renderProductCard(product, actions = null) {
+        const image = product.image || '/assets/images/placeholder-product.jpg';
+        const url = product.url;
+
+        return this.html`
+            <div class="product-card product-card--medium" data-product-id="${product.id}">
+                <div class="product-card__image-container">
+                    <a href="${url}" class="product-card__image-link" aria-label="${product.name}">
+                        <img src="${image}" alt="${product.name}" class="product-card__image" width="300" height="300" loading="lazy">
+                        ${product.isOutOfStock ? this.html`
+                            <div class="product-card__badges">
+                                <span class="product-badge product-badge--out-of-stock">${this.t('product.outOfStock')}</span>
+                            </div>
+                        ` : ''}
+                    </a>
+                </div>
+                <div class="product-card__content">
+                    <h3 class="product-card__title">
+                        <a href="${url}" class="product-card__title-link">${product.name}</a>
+                    </h3>
+                    <div class="product-card__price">
+                        <span class="price-current" data-amount="${product.price}" data-currency="${product.currency}">${this.formatMoney(product.price, product.currency)}</span>
+                    </div>
+                    <p class="product-card__points" data-loyalty-points ${this.getLoyaltyPoints(product.price) > 0 ? '' : 'hidden'}>
+                        ${this.t('loyalty.earnPoints', { count: this.getLoyaltyPoints(product.price) })}
+                    </p>
+                    <div class="product-card__actions">
+                        ${actions || this.html`
+                            <button type="button" class="btn btn-primary add-to-cart-btn" data-action="add-to-cart" data-product-id="${product.id}" ${product.isOutOfStock ? 'hidden' : ''}>
+                                ${this.t('product.addToCart')}
+                            </button>
+                            <button type="button" class="btn btn-outline notify-restock-btn" data-action="notify-restock" data-product-id="${product.id}" ${product.isOutOfStock ? '' : 'hidden'}>
+                                <span class="notify-restock-btn__label">${this.t('restock.notifyMe')}</span>
+                            </button>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // Offline content - products saved by the shopper plus lists precached on Wi-Fi
+    setupOfflineContent() {
+        if (!('serviceWorker' in navigator) || !('caches' in window)) {
+            return;
+        }
+
+        // Save buttons and panels are rendered hidden for browsers that can't keep pages offline
+        document.querySelectorAll('[data-action="save-offline"], [data-offline-content]').forEach(element => {
+            element.hidden = false;
+        });
+
+        this.observeOfflinePanels();
+
+        this.registerOfflineSource('cart', () => ['/cart', '/api/cart']);
+        this.registerOfflineSource('wishlist', () => ['/wishlist']);
+
+        // Also fires once the first dictionary has loaded
+        document.addEventListener('localeChanged', () => this.refreshOfflineViews());
+
+        document.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-offline-remove]');
+
+            if (removeButton) {
+                e.preventDefault();
+                this.removeSavedOffline(removeButton.dataset.offlineRemove);
+            } else if (e.target.closest('[data-offline-clear]')) {
+                e.preventDefault();
+                this.clearOfflineContent();
+            }
+        });
 
-    // Setup focus management
-    setupFocusManagement() {
-        // Trap focus in modals
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                const modal = document.querySelector('.modal.active');
-                if (modal) {
-                    this.trapFocus(e, modal);
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('[data-offline-auto]')) {
+                this.writeStorage(this.config.offlineContent.autoSaveKey, String(e.target.checked));
+
+                if (e.target.checked) {
+                    this.maybeAutoPrecache({ force: true });
                 }
             }
         });
-    },
 
-    // Trap focus within element
-    trapFocus(e, element) {
-        const focusableElements = element.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-        
-        if (e.shiftKey) {
-            if (document.activeElement === firstElement) {
-                lastElement.focus();
-                e.preventDefault();
-            }
+        // Wait for the page itself before spending bandwidth
+        const schedule = window.requestIdleCallback || ((callback) => setTimeout(callback, 2000));
+        const start = () => schedule(() => this.maybeAutoPrecache());
+
+        if (document.readyState === 'complete') {
+            start();
         } else {
-            if (document.activeElement === lastElement) {
-                firstElement.focus();
-                e.preventDefault();
-            }
+            window.addEventListener('load', start, { once: true });
         }
-    },
 
-    // Setup ARIA live regions
-    setupLiveRegions() {
-        const liveRegion = document.createElement('div');
-        liveRegion.setAttribute('aria-live', 'polite');
-        liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.className = 'sr-only';
-        liveRegion.id = 'live-region';
-        document.body.appendChild(liveRegion);
+        if (navigator.connection) {
+            navigator.connection.addEventListener('change', () => this.maybeAutoPrecache());
+        }
     },
 
-    // Announce to screen readers
-    announceToScreenReader(message) {
-        const liveRegion = document.getElementById('live-region');
-        if (liveRegion) {
-            liveRegion.textContent = message;
-            
-            // Clear after announcement
-            setTimeout(() => {
-                liveRegion.textContent = '';
-            }, 1000);
+    // Cache stats cost a round trip to the worker, so only panels on screen ask for them
+    observeOfflinePanels() {
+        const panels = document.querySelectorAll('[data-offline-content]');
+
+        if (!('IntersectionObserver' in window)) {
+            panels.forEach(container => this.visibleOfflinePanels.add(container));
+            return;
         }
+
+        const observer = new IntersectionObserver((entries) => {
+            let shown = false;
+
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleOfflinePanels.add(entry.target);
+                    shown = true;
+                } else {
+                    this.visibleOfflinePanels.delete(entry.target);
+                }
+            });
+
+            if (shown) {
+                this.refreshOfflineCacheStats();
+            }
+        });
+
+        panels.forEach(container => observer.observe(container));
     },
 
-    // Setup analytics
-    setupAnalytics() {
-        // Track page views
-        this.trackPageView();
-        
-        // Track user interactions
-        this.trackUserInteractions();
-        
-        // Track performance metrics
-        this.trackPerformanceMetrics();
+    // Lists kept offline on Wi-Fi; getUrls may be async and returns same-origin URLs
+    registerOfflineSource(name, getUrls) {
+        this.offlineSources.set(name, getUrls);
+        return this;
     },
 
-    // Track page view
-    trackPageView() {
-        if (typeof gtag !== 'undefined') {
-            gtag('config', 'GA_MEASUREMENT_ID', {
-                page_title: document.title,
-                page_location: window.location.href
-            });
+    // Only when the Network Information API reports Wi-Fi or a wired link
+    isOnUnmeteredConnection() {
+        const { connection } = navigator;
+
+        if (!connection || connection.saveData || !connection.type) {
+            return false;
         }
+
+        return ['wifi', 'ethernet'].includes(connection.type);
     },
 
-    // Track user interactions
-    trackUserInteractions() {
-        // Track button clicks
-        document.addEventListener('click', (e) => {
-            const button = e.target.closest('button, .btn');
-            if (button && typeof gtag !== 'undefined') {
-                gtag('event', 'click', {
-                    event_category: 'UI',
-                    event_label: button.textContent.trim() || button.className
-                });
-            }
-        });
-        
-        // Track form submissions
-        document.addEventListener('submit', (e) => {
-            const form = e.target;
-            if (form && typeof gtag !== 'undefined') {
-                gtag('event', 'form_submit', {
-                    event_category: 'Form',
-                    event_label: form.id || form.className
-                });
+    async maybeAutoPrecache({ force = false } = {}) {
+        const { autoSaveKey, lastAutoSaveKey, autoSaveInterval } = this.config.offlineContent;
+
+        if (this.readStorage(autoSaveKey) === 'false' || !this.isOnUnmeteredConnection()) {
+            return;
+        }
+
+        const lastRun = parseInt(this.readStorage(lastAutoSaveKey), 10) || 0;
+        if (!force && Date.now() - lastRun < autoSaveInterval) {
+            return;
+        }
+
+        this.writeStorage(lastAutoSaveKey, String(Date.now()));
+
+        const urls = [];
+        for (const [name, getUrls] of this.offlineSources) {
+            try {
+                urls.push(...await getUrls());
+            } catch (error) {
+                console.warn(`Offline source "${name}" failed:`, error);
             }
-        });
+        }
+
+        if (urls.length > 0) {
+            await this.cacheUrlsForOffline(Array.from(new Set(urls)), 'dynamic');
+        }
     },
 
-    // Track performance metrics
-    trackPerformanceMetrics() {
-        window.addEventListener('load', () => {
-            setTimeout(() => {
-                const perfData = performance.getEntriesByType('navigation')[0];
-                
-                if (perfData && typeof gtag !== 'undefined') {
-                    gtag('event', 'page_load_time', {
-                        event_category: 'Performance',
-                        value: Math.round(perfData.loadEventEnd - perfData.fetchStart),
-                        non_interaction: true
-                    });
+    // Resolves to { cached, failed } once the service worker has fetched every url,
+    // or null when it doesn't answer
+    async cacheUrlsForOffline(urls, cacheName) {
+        return this.postToServiceWorker({ type: 'CACHE_URLS', urls, cacheName });
+    },
+
+    // Message the active worker and wait for its reply on a MessageChannel.
+    // Resolves to null when there is no active worker or it doesn't answer in time.
+    postToServiceWorker(message) {
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => {
+                channel.port1.close();
+                resolve(null);
+            }, this.config.offlineContent.messageTimeout);
+
+            const finish = (data) => {
+                clearTimeout(timer);
+                channel.port1.close();
+                resolve(data);
+            };
+
+            channel.port1.onmessage = (event) => finish(event.data);
+
+            // serviceWorker.ready never settles without a registration; the timer covers that too
+            navigator.serviceWorker.ready.then(registration => {
+                if (!registration.active) {
+                    finish(null);
+                    return;
                 }
-            }, 0);
+
+                registration.active.postMessage(message, [channel.port2]);
+            }).catch(() => finish(null));
         });
     },
 
-    // Utility functions
-    getCSRFToken() {
-        const token = document.querySelector('meta[name="csrf-token"]');
-        return token ? token.getAttribute('content') : '';
+    getSavedOffline() {
+        try {
+            return JSON.parse(this.readStorage(this.config.offlineContent.savedKey)) || [];
+        } catch (error) {
+            return [];
+        }
     },
 
-    // Show notification
-    showNotification(message, type = 'info', duration = 3000) {
-        const notification = document.createElement('div');
-        notification.className = `notification notification--${type}`;
-        notification.textContent = message;
-        
-        const colors = {
-            success: '#4CAF50',
-            error: '#f44336',
-            warning: '#ff9800',
-            info: '#2196F3'
-        };
-        
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${colors[type] || colors.info};
-            color: white;
-            padding: 12px 20px;
-            border-radius: 6px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 10000;
-            font-size: 14px;
-            font-weight: 500;
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-            max-width: 300px;
-            word-wrap: break-word;
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Animate in
-        requestAnimationFrame(() => {
-            notification.style.transform = 'translateX(0)';
-        });
-        
-        // Auto remove
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, duration);
-        
-        // Announce to screen readers
-        this.announceToScreenReader(message);
+    storeSavedOffline(entries) {
+        this.writeStorage(this.config.offlineContent.savedKey, JSON.stringify(entries));
+
+        this.refreshOfflineViews();
     },
 
-    // Close all modals
-    closeAllModals() {
-        document.querySelectorAll('.modal.active').forEach(modal => {
-            modal.classList.remove('active');
+    refreshOfflineViews() {
+        this.applySavedOfflineStates();
+        document.querySelectorAll('[data-offline-content]').forEach(container => {
+            this.renderOfflineContent(container);
         });
+        this.refreshOfflineCacheStats();
     },
 
-    // Close all dropdowns
-    closeAllDropdowns() {
-        document.querySelectorAll('.dropdown.active').forEach(dropdown => {
-            dropdown.classList.remove('active');
+    // Re-read storage usage for the panels currently on screen
+    async refreshOfflineCacheStats() {
+        const panels = Array.from(document.querySelectorAll('[data-offline-content]'))
+            .filter(container => this.visibleOfflinePanels.has(container));
+
+        if (panels.length === 0) {
+            return;
+        }
+
+        this.offlineCacheStats = await this.getCacheStats();
+        panels.forEach(container => this.renderOfflineContent(container));
+    },
+
+    applySavedOfflineStates(root = document) {
+        const saved = this.getSavedOffline();
+
+        root.querySelectorAll('[data-action="save-offline"]').forEach(button => {
+            const isSaved = saved.some(entry => String(entry.productId) === String(button.dataset.productId));
+
+            const label = button.querySelector('[data-save-offline-label]');
+            const text = this.t(isSaved ? 'offlineContent.unsave' : 'offlineContent.save');
+
+            button.classList.toggle('active', isSaved);
+            button.setAttribute('aria-pressed', String(isSaved));
+
+            // Icon-only buttons carry the state in their accessible name
+            if (label) {
+                label.textContent = text;
+            } else {
+                button.setAttribute('aria-label', text);
+            }
         });
     },
 
-    // Setup intersection observer for animations
-    setupIntersectionObserver() {
-        if ('IntersectionObserver' in window) {
-            const animationObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('animate-in');
-                        animationObserver.unobserve(entry.target);
-                    }
-                });
-            }, {
-                threshold: 0.1,
-                rootMargin: '0px 0px -50px 0px'
-            });
-            
-            document.querySelectorAll('[data-animate]').forEach(element => {
-                animationObserver.observe(element);
-            });
+    async toggleSavedOffline(button) {
+        const { productId, productUrl, productName } = button.dataset;
+        const isSaved = this.getSavedOffline().some(entry => String(entry.productId) === String(productId));
+
+        button.disabled = true;
+
+        try {
+            if (isSaved) {
+                await this.removeSavedOffline(productId);
+                return;
+            }
+
+            // The card may already show a WebP variant of the image
+            const card = button.closest('.product-card, .quick-view__content');
+            const image = card && card.querySelector('.product-card__image, .quick-view__main-image');
+            const imageUrl = image && image.currentSrc && !image.currentSrc.startsWith('data:')
+                ? image.currentSrc
+                : button.dataset.productImage;
+            const urls = [productUrl, `/api/products/${productId}`, imageUrl].filter(Boolean);
+
+            const result = await this.cacheUrlsForOffline(urls, 'offline');
+
+            if (!result || !result.cached.includes(productUrl)) {
+                this.showNotification(this.t('offlineContent.saveError'), 'error');
+                return;
+            }
+
+            this.storeSavedOffline([
+                ...this.getSavedOffline(),
+                { productId, url: productUrl, name: productName, urls: result.cached, savedAt: Date.now() }
+            ]);
+            this.showNotification(this.t('offlineContent.saved'), 'success');
+            this.track('save_offline', { event_category: 'Offline', event_label: productId });
+        } catch (error) {
+            console.error('Save for offline error:', error);
+            this.showNotification(this.t('offlineContent.saveError'), 'error');
+        } finally {
+            button.disabled = false;
         }
     },
 
-    // Setup service worker for caching
-    setupServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            window.addEventListener('load', () => {
-                navigator.serviceWorker.register('/sw.js')
-                    .then(registration => {
-                        console.log('SW registered: ', registration);
-                    })
-                    .catch(registrationError => {
-                        console.log('SW registration failed: ', registrationError);
-                    });
-            });
+    async removeSavedOffline(productId) {
+        const saved = this.getSavedOffline();
+        const entry = saved.find(item => String(item.productId) === String(productId));
+
+        if (!entry) {
+            return;
+        }
+
+        await this.postToServiceWorker({ type: 'CLEAR_CACHE', cacheName: 'offline', urls: entry.urls });
+        this.storeSavedOffline(saved.filter(item => item !== entry));
+        this.showNotification(this.t('offlineContent.removed'), 'info');
+    },
+
+    // Static assets stay: they hold the offline page itself
+    async clearOfflineContent() {
+        const replies = [];
+
+        for (const cacheName of ['dynamic', 'images', 'offline']) {
+            replies.push(await this.postToServiceWorker({ type: 'CLEAR_CACHE', cacheName }));
+        }
+
+        // A null reply means no worker answered, so that cache may still be there
+        if (!replies.every(reply => reply && reply.type === 'CACHE_CLEARED')) {
+            this.refreshOfflineCacheStats();
+            this.showNotification(this.t('offlineContent.clearError'), 'error');
+            return;
+        }
+
+        this.removeStorage(this.config.offlineContent.lastAutoSaveKey);
+        this.storeSavedOffline([]);
+        this.showNotification(this.t('offlineContent.cleared'), 'success');
+    },
+
+    // Manage panel on the wishlist page: <div data-offline-content hidden></div>
+    renderOfflineContent(container) {
+        const stats = this.offlineCacheStats;
+        const saved = this.getSavedOffline();
+        const autoSave = this.readStorage(this.config.offlineContent.autoSaveKey) !== 'false';
+
+        container.innerHTML = this.html`
+            <div class="offline-content">
+                <h3 class="offline-content__title">${this.t('offlineContent.title')}</h3>
+                ${stats && stats.usage !== null ? this.html`
+                    <p class="offline-content__usage">
+                        ${this.t('offlineContent.usage', { used: this.formatBytes(stats.usage), quota: this.formatBytes(stats.quota) })}
+                    </p>
+                    <progress class="offline-content__meter" max="${stats.quota}" value="${stats.usage}"></progress>
+                ` : ''}
+                <label class="offline-content__auto">
+                    <input type="checkbox" data-offline-auto ${autoSave ? 'checked' : ''}>
+                    ${this.t('offlineContent.autoSave')}
+                </label>
+                <p class="offline-content__hint">${this.t('offlineContent.autoSaveHint')}</p>
+                <h4 class="offline-content__subtitle">${this.t('offlineContent.savedTitle')}</h4>
+                ${saved.length > 0 ? this.html`
+                    <ul class="offline-content__list">
+                        ${saved.map(entry => this.html`
+                            <li class="offline-content__item">
+                                <a href="${entry.url}">${entry.name}</a>
+                                <button type="button" class="offline-content__remove" data-offline-remove="${entry.productId}">
+                                    ${this.t('offlineContent.remove')}
+                                </button>
+                            </li>
+                        `)}
+                    </ul>
+                ` : this.html`<p class="offline-content__empty">${this.t('offlineContent.empty')}</p>`}
+                <button type="button" class="btn btn-outline offline-content__clear" data-offline-clear>${this.t('offlineContent.clearAll')}</button>
+            </div>
+        `;
+    },
+
+    // Cache entry counts and byte estimates from the service worker
+    async getCacheStats() {
+        if (!('serviceWorker' in navigator)) {
+            return null;
         }
+
+        const reply = await this.postToServiceWorker({ type: 'GET_CACHE_STATS' });
+        return reply ? reply.stats : null;
     },
 
     // Image optimization
@@ -3,10 +3,40 @@
  * Optimized for performance and offline functionality
  */
 
-const CACHE_NAME = 'vaperelax-v1.0.0';
-const STATIC_CACHE = 'vaperelax-static-v1';
-const DYNAMIC_CACHE = 'vaperelax-dynamic-v1';
-const IMAGE_CACHE = 'vaperelax-images-v1';
+// Registered as /sw.js?v=<build hash> (see setupServiceWorker in main.js), so every
+// deploy gets fresh cache names and activate() drops the previous build's caches
+const BUILD_HASH = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'vaperelax-';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${BUILD_HASH}`;
+const DYNAMIC_CACHE = `${CACHE_PREFIX}dynamic-${BUILD_HASH}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${BUILD_HASH}`;
+
+// Pages the shopper saved for offline viewing - not versioned, so they survive deploys
+const OFFLINE_CACHE = `${CACHE_PREFIX}offline`;
+
+// Short names pages may use in CACHE_URLS / CLEAR_CACHE instead of the versioned names
+const CACHE_ALIASES = {
+    static: STATIC_CACHE,
+    dynamic: DYNAMIC_CACHE,
+    images: IMAGE_CACHE,
+    offline: OFFLINE_CACHE
+};
+
+// Per-cache limits: least recently used entries are evicted past maxEntries,
+// entries older than maxAge (ms) are refetched. null means unlimited.
+const CACHE_LIMITS = {
+    [STATIC_CACHE]: { maxEntries: 60, maxAge: null },
+    [DYNAMIC_CACHE]: { maxEntries: 100, maxAge: 24 * 60 * 60 * 1000 },
+    [IMAGE_CACHE]: { maxEntries: 200, maxAge: 30 * 24 * 60 * 60 * 1000 },
+    [OFFLINE_CACHE]: { maxEntries: 150, maxAge: null }
+};
+
+// Timestamps stored on cached responses
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+const ACCESSED_AT_HEADER = 'X-SW-Accessed-At';
+
+// Re-put a hit to mark it recently used at most this often
+const TOUCH_INTERVAL = 10 * 60 * 1000;
 
 // Assets to cache immediately
 const STATIC_ASSETS = [
@@ -16,41 +46,88 @@ const STATIC_ASSETS = [
     '/assets/fonts/arabic-font.woff2',
     '/assets/images/logo.png',
     '/assets/images/placeholder-product.jpg',
+    '/assets/locales/ar.json',
+    '/assets/locales/en.json',
     '/offline.html'
 ];
 
-// Cache strategies for different resource types
-const CACHE_STRATEGIES = {
-    // Cache first for static assets
-    static: [
-        '/assets/',
-        '/fonts/'
-    ],
-    
-    // Network first for API calls
-    networkFirst: [
-        '/api/',
-        '/search'
-    ],
-    
-    // Cache first for images
-    cacheFirst: [
-        '/images/',
-        '.jpg',
-        '.jpeg',
-        '.png',
-        '.webp',
-        '.svg'
-    ],
-    
-    // Stale while revalidate for pages
-    staleWhileRevalidate: [
-        '/products/',
-        '/categories/',
-        '/brands/'
-    ]
+// Used until a page sends SET_LOCALE with the shopper's language
+const DEFAULT_MESSAGES = {
+    offlineMessage: 'لا يوجد اتصال بالإنترنت',
+    pushView: 'عرض',
+    pushDismiss: 'إغلاق'
 };
 
+// { locale, dir, messages } mirrored from the page, persisted in IndexedDB
+let localeSettings = null;
+
+// Routing table, checked in order - the first route whose matchers all pass
+// handles the request. Matchers:
+//   method      - HTTP method (default GET); unmatched requests go straight to the network
+//   origin      - 'self' for same-origin only; omitted matches any origin
+//   pathname    - RegExp tested against the URL pathname (query strings are ignored)
+//   destination - list of Request.destination values, e.g. ['image', 'document']
+// strategy names a key of STRATEGIES; options are passed to it:
+//   cacheName      - cache the strategy reads and writes
+//   networkTimeout - (networkFirst) ms to wait before answering from cache
+const ROUTES = [
+    {
+        name: 'static',
+        pathname: /^\/(?:assets|fonts)\//,
+        strategy: 'cacheFirst',
+        options: { cacheName: STATIC_CACHE }
+    },
+    {
+        name: 'images',
+        destination: ['image'],
+        strategy: 'cacheFirst',
+        options: { cacheName: IMAGE_CACHE }
+    },
+    {
+        name: 'image-files',
+        pathname: /\.(?:jpe?g|png|gif|webp|avif|svg)$/i,
+        strategy: 'cacheFirst',
+        options: { cacheName: IMAGE_CACHE }
+    },
+    {
+        // Reachability checks from offline.html must never be answered from cache
+        name: 'ping',
+        origin: 'self',
+        pathname: /^\/api\/ping$/,
+        strategy: 'networkOnly'
+    },
+    {
+        name: 'api',
+        origin: 'self',
+        pathname: /^\/api\//,
+        strategy: 'networkFirst',
+        options: { cacheName: DYNAMIC_CACHE, networkTimeout: 4000 }
+    },
+    {
+        name: 'search',
+        origin: 'self',
+        pathname: /^\/search(?:\/|$)/,
+        strategy: 'networkFirst',
+        options: { cacheName: DYNAMIC_CACHE, networkTimeout: 3000 }
+    },
+    {
+        name: 'catalog-pages',
+        origin: 'self',
+        destination: ['document'],
+        pathname: /^\/(?:products|categories|brands)\//,
+        strategy: 'staleWhileRevalidate',
+        options: { cacheName: DYNAMIC_CACHE }
+    },
+    {
+        name: 'default',
+        strategy: 'networkFirst',
+        options: { cacheName: DYNAMIC_CACHE }
+    }
+];
+
+// Per-route response timings, reported with GET_CACHE_STATS
+const routeTimings = {};
+
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
     console.log('Service Worker: Installing...');
@@ -62,8 +139,8 @@ self.addEventListener('install', (event) => {
                 return cache.addAll(STATIC_ASSETS);
             })
             .then(() => {
+                // An update waits until the page sends SKIP_WAITING with the shopper's consent
                 console.log('Service Worker: Static assets cached');
-                return self.skipWaiting();
             })
             .catch((error) => {
                 console.error('Service Worker: Failed to cache static assets', error);
@@ -80,15 +157,14 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== STATIC_CACHE && 
-                            cacheName !== DYNAMIC_CACHE && 
-                            cacheName !== IMAGE_CACHE) {
+                        if (cacheName.startsWith(CACHE_PREFIX) && !CACHE_LIMITS[cacheName]) {
                             console.log('Service Worker: Deleting old cache', cacheName);
                             return caches.delete(cacheName);
                         }
                     })
                 );
             })
+            .then(() => Promise.all(Object.keys(CACHE_LIMITS).map(purgeExpired)))
             .then(() => {
                 console.log('Service Worker: Activated');
                 return self.clients.claim();
@@ -96,101 +172,161 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - handle requests with appropriate strategy
+// Fetch event - handle requests with the matching route's strategy
 self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
     
-    // Skip non-GET requests
-    if (request.method !== 'GET') {
+    // Skip chrome-extension and other non-http requests
+    if (!url.protocol.startsWith('http')) {
         return;
     }
     
-    // Skip chrome-extension and other non-http requests
-    if (!url.protocol.startsWith('http')) {
+    // No route (e.g. POST): leave the request to the browser
+    const route = findRoute(request, url);
+    if (!route) {
         return;
     }
     
-    event.respondWith(handleRequest(request));
+    const startTime = performance.now();
+    const responsePromise = handleRequest(request, route);
+    
+    event.respondWith(responsePromise);
+    
+    // Timing is recorded alongside the response, never in its path
+    event.waitUntil(
+        responsePromise
+            .then(() => recordTiming(route.name, performance.now() - startTime))
+            .catch(() => {})
+    );
 });
 
-// Handle request with appropriate caching strategy
-async function handleRequest(request) {
-    const url = new URL(request.url);
-    const pathname = url.pathname;
-    
-    try {
-        // Static assets - Cache First
-        if (isStaticAsset(pathname)) {
-            return await cacheFirst(request, STATIC_CACHE);
-        }
-        
-        // Images - Cache First with longer TTL
-        if (isImage(pathname)) {
-            return await cacheFirst(request, IMAGE_CACHE);
+function findRoute(request, url) {
+    return ROUTES.find((route) => {
+        if (request.method !== (route.method || 'GET')) {
+            return false;
         }
         
-        // API calls - Network First
-        if (isApiCall(pathname)) {
-            return await networkFirst(request, DYNAMIC_CACHE);
+        if (route.origin === 'self' && url.origin !== self.location.origin) {
+            return false;
         }
         
-        // Pages - Stale While Revalidate
-        if (isPage(pathname)) {
-            return await staleWhileRevalidate(request, DYNAMIC_CACHE);
+        if (route.destination && !route.destination.includes(request.destination)) {
+            return false;
         }
         
-        // Default - Network First
-        return await networkFirst(request, DYNAMIC_CACHE);
-        
+        return !route.pathname || route.pathname.test(url.pathname);
+    });
+}
+
+function recordTiming(routeName, duration) {
+    const timing = routeTimings[routeName] || (routeTimings[routeName] = { count: 0, totalMs: 0, maxMs: 0 });
+    
+    timing.count++;
+    timing.totalMs += duration;
+    timing.maxMs = Math.max(timing.maxMs, duration);
+}
+
+// Handle request with the route's caching strategy
+async function handleRequest(request, route) {
+    try {
+        return await STRATEGIES[route.strategy](request, route.options || {});
     } catch (error) {
         console.error('Service Worker: Request failed', error);
+        
+        // Saved for offline by the shopper, whichever route normally handles it
+        const saved = await caches.open(OFFLINE_CACHE).then((cache) => cache.match(request));
+        if (saved) {
+            return markFromCache(saved);
+        }
+        
         return await handleOffline(request);
     }
 }
 
 // Cache First strategy
-async function cacheFirst(request, cacheName) {
+async function cacheFirst(request, { cacheName }) {
     const cache = await caches.open(cacheName);
     const cachedResponse = await cache.match(request);
     
-    if (cachedResponse) {
+    if (cachedResponse && !isExpired(cachedResponse, cacheName)) {
         // Return cached version immediately
+        touchCacheEntry(cache, request, cachedResponse);
         return cachedResponse;
     }
     
     try {
         const networkResponse = await fetch(request);
         
-        if (networkResponse.ok) {
+        if (networkResponse.ok || networkResponse.type === 'opaque') {
             // Cache successful responses
-            cache.put(request, networkResponse.clone());
+            putInCache(cacheName, request, networkResponse.clone());
         }
         
         return networkResponse;
     } catch (error) {
+        // An expired copy still beats nothing offline
+        if (cachedResponse) {
+            return cachedResponse;
+        }
+        
         console.error('Cache First: Network failed', error);
         throw error;
     }
 }
 
-// Network First strategy
-async function networkFirst(request, cacheName) {
-    try {
-        const networkResponse = await fetch(request);
-        
+// Network First strategy - with networkTimeout, a slow network answers from cache
+// while the request keeps running to refresh it
+async function networkFirst(request, { cacheName, networkTimeout }) {
+    const networkPromise = fetch(request).then((networkResponse) => {
         if (networkResponse.ok) {
             // Cache successful responses
-            const cache = await caches.open(cacheName);
-            cache.put(request, networkResponse.clone());
+            putInCache(cacheName, request, networkResponse.clone());
         }
         
         return networkResponse;
+    });
+    
+    const fromCache = async () => {
+        const cache = await caches.open(cacheName);
+        const cachedResponse = await cache.match(request);
+        
+        return cachedResponse ? markFromCache(cachedResponse) : null;
+    };
+    
+    if (networkTimeout) {
+        let timeoutId;
+        const timeout = new Promise((resolve) => {
+            timeoutId = setTimeout(resolve, networkTimeout);
+        });
+        
+        const winner = await Promise.race([
+            networkPromise.then((response) => ({ response }), (error) => ({ error })),
+            timeout.then(() => ({ timedOut: true }))
+        ]);
+        clearTimeout(timeoutId);
+        
+        if (winner.response) {
+            return winner.response;
+        }
+        
+        if (winner.timedOut) {
+            const cachedResponse = await fromCache();
+            
+            if (cachedResponse) {
+                console.log('Network First: Network timed out, answering from cache');
+                networkPromise.catch(() => {});
+                return cachedResponse;
+            }
+        }
+    }
+    
+    try {
+        return await networkPromise;
     } catch (error) {
         console.log('Network First: Network failed, trying cache');
         
-        const cache = await caches.open(cacheName);
-        const cachedResponse = await cache.match(request);
+        const cachedResponse = await fromCache();
         
         if (cachedResponse) {
             return cachedResponse;
@@ -201,7 +337,7 @@ async function networkFirst(request, cacheName) {
 }
 
 // Stale While Revalidate strategy
-async function staleWhileRevalidate(request, cacheName) {
+async function staleWhileRevalidate(request, { cacheName }) {
     const cache = await caches.open(cacheName);
     const cachedResponse = await cache.match(request);
     
@@ -209,7 +345,7 @@ async function staleWhileRevalidate(request, cacheName) {
     const networkResponsePromise = fetch(request)
         .then((networkResponse) => {
             if (networkResponse.ok) {
-                cache.put(request, networkResponse.clone());
+                putInCache(cacheName, request, networkResponse.clone());
             }
             return networkResponse;
         })
@@ -217,13 +353,185 @@ async function staleWhileRevalidate(request, cacheName) {
             console.log('Stale While Revalidate: Network update failed', error);
         });
     
-    // Return cached version immediately if available
-    if (cachedResponse) {
-        return cachedResponse;
+    // Return cached version immediately if available (expired copies wait for the network)
+    if (cachedResponse && !isExpired(cachedResponse, cacheName)) {
+        return markFromCache(cachedResponse);
     }
     
     // If no cache, wait for network
-    return await networkResponsePromise;
+    return (await networkResponsePromise) || (cachedResponse && markFromCache(cachedResponse));
+}
+
+// Tell the page this came from cache, and how old it is (seconds)
+function markFromCache(response) {
+    if (response.type === 'opaque') {
+        return response;
+    }
+    
+    const headers = new Headers(response.headers);
+    const cachedAt = Number(headers.get(CACHED_AT_HEADER));
+    
+    headers.set('X-From-Cache', 'true');
+    if (cachedAt) {
+        headers.set('Age', String(Math.max(0, Math.round((Date.now() - cachedAt) / 1000))));
+    }
+    
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+const STRATEGIES = {
+    cacheFirst,
+    networkFirst,
+    staleWhileRevalidate,
+    networkOnly: (request) => fetch(request)
+};
+
+// Copy a response with cache bookkeeping headers (opaque responses can't be copied)
+function stampResponse(response, cachedAt = Date.now()) {
+    if (response.type === 'opaque') {
+        return response;
+    }
+    
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(cachedAt));
+    headers.set(ACCESSED_AT_HEADER, String(Date.now()));
+    
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+function isExpired(response, cacheName) {
+    const { maxAge } = CACHE_LIMITS[cacheName] || {};
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+    
+    return Boolean(maxAge && cachedAt && Date.now() - cachedAt > maxAge);
+}
+
+// Cache.put appends, so re-putting a hit moves it to the end of cache.keys():
+// keys() order is then least- to most-recently used
+function touchCacheEntry(cache, request, response) {
+    const accessedAt = Number(response.headers.get(ACCESSED_AT_HEADER));
+    
+    if (!accessedAt || Date.now() - accessedAt < TOUCH_INTERVAL) {
+        return;
+    }
+    
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER)) || Date.now();
+    cache.put(request, stampResponse(response.clone(), cachedAt))
+        .catch((error) => console.warn('Service Worker: Failed to touch cache entry', error));
+}
+
+// Store a response, enforcing the cache's size limit and recovering from a full quota
+async function putInCache(cacheName, request, response) {
+    const cache = await caches.open(cacheName);
+    const stamped = stampResponse(response);
+    
+    try {
+        await cache.put(request, stamped.clone());
+    } catch (error) {
+        if (error.name !== 'QuotaExceededError') {
+            console.error('Service Worker: Failed to cache', error);
+            return;
+        }
+        
+        console.warn('Service Worker: Storage quota exceeded, evicting entries');
+        await freeUpSpace();
+        
+        try {
+            await cache.put(request, stamped);
+        } catch (retryError) {
+            console.error('Service Worker: Still over quota, skipping cache', retryError);
+            return;
+        }
+    }
+    
+    await trimCache(cacheName);
+}
+
+// Evict least recently used entries past maxEntries
+async function trimCache(cacheName, maxEntries = (CACHE_LIMITS[cacheName] || {}).maxEntries) {
+    if (!maxEntries) {
+        return;
+    }
+    
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+async function purgeExpired(cacheName) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    
+    for (const request of keys) {
+        const response = await cache.match(request);
+        
+        if (response && isExpired(response, cacheName)) {
+            await cache.delete(request);
+        }
+    }
+}
+
+// On QuotaExceededError: drop expired entries, then halve the runtime caches
+async function freeUpSpace() {
+    for (const cacheName of [IMAGE_CACHE, DYNAMIC_CACHE]) {
+        await purgeExpired(cacheName);
+        
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        await trimCache(cacheName, Math.floor(keys.length / 2));
+    }
+}
+
+// Entry counts and approximate sizes per cache, plus the origin's storage estimate
+async function getCacheStats() {
+    const cacheNames = (await caches.keys()).filter((name) => name.startsWith(CACHE_PREFIX));
+    const stats = {};
+    
+    for (const cacheName of cacheNames) {
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        let bytes = 0;
+        
+        for (const request of keys) {
+            const response = await cache.match(request);
+            
+            // Opaque responses don't expose their size
+            if (response && response.type !== 'opaque') {
+                const contentLength = Number(response.headers.get('Content-Length'));
+                bytes += contentLength || (await response.blob()).size;
+            }
+        }
+        
+        stats[cacheName] = {
+            entries: keys.length,
+            bytes,
+            ...(CACHE_LIMITS[cacheName] || {})
+        };
+    }
+    
+    const storage = self.navigator.storage && self.navigator.storage.estimate
+        ? await self.navigator.storage.estimate()
+        : null;
+    
+    return {
+        buildHash: BUILD_HASH,
+        caches: stats,
+        routes: routeTimings,
+        usage: storage ? storage.usage : null,
+        quota: storage ? storage.quota : null
+    };
 }
 
 // Handle offline scenarios
@@ -237,7 +545,7 @@ async function handleOffline(request) {
     }
     
     // For images, return placeholder
-    if (isImage(url.pathname)) {
+    if (request.destination === 'image' || /\.(?:jpe?g|png|gif|webp|avif)$/i.test(url.pathname)) {
         const cache = await caches.open(STATIC_CACHE);
         return await cache.match('/assets/images/placeholder-product.jpg');
     }
@@ -246,37 +554,20 @@ async function handleOffline(request) {
     return new Response(
         JSON.stringify({
             error: 'Offline',
-            message: 'لا يوجد اتصال بالإنترنت'
+            message: await translate('offlineMessage')
         }),
         {
             status: 503,
             statusText: 'Service Unavailable',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                // Tells pages this answer never reached the server (see offline.html)
+                'X-SW-Offline': 'true'
             }
         }
     );
 }
 
-// Helper functions to determine request type
-function isStaticAsset(pathname) {
-    return CACHE_STRATEGIES.static.some(pattern => pathname.includes(pattern));
-}
-
-function isImage(pathname) {
-    return CACHE_STRATEGIES.cacheFirst.some(pattern => 
-        pathname.includes(pattern) || pathname.endsWith(pattern)
-    );
-}
-
-function isApiCall(pathname) {
-    return CACHE_STRATEGIES.networkFirst.some(pattern => pathname.includes(pattern));
-}
-
-function isPage(pathname) {
-    return CACHE_STRATEGIES.staleWhileRevalidate.some(pattern => pathname.includes(pattern));
-}
-
 // Background sync for failed requests
 self.addEventListener('sync', (event) => {
     if (event.tag === 'background-sync') {
@@ -284,35 +575,141 @@ self.addEventListener('sync', (event) => {
     }
 });
 
-async function doBackgroundSync() {
+let backgroundSyncInProgress = null;
+
+// Serialize replays so the sync event and the page's online fallback never double-send
+function doBackgroundSync() {
+    if (!backgroundSyncInProgress) {
+        backgroundSyncInProgress = replayFailedRequests()
+            .finally(() => {
+                backgroundSyncInProgress = null;
+            });
+    }
+    
+    return backgroundSyncInProgress;
+}
+
+async function replayFailedRequests() {
     console.log('Service Worker: Background sync triggered');
     
     // Retry failed requests stored in IndexedDB
+    let db;
+    let requests;
+    
     try {
-        const db = await openDB();
+        db = await openDB();
         const transaction = db.transaction(['failed-requests'], 'readonly');
         const store = transaction.objectStore('failed-requests');
-        const requests = await store.getAll();
-        
-        for (const requestData of requests) {
-            try {
-                await fetch(requestData.url, requestData.options);
-                
-                // Remove successful request from storage
-                const deleteTransaction = db.transaction(['failed-requests'], 'readwrite');
-                const deleteStore = deleteTransaction.objectStore('failed-requests');
-                await deleteStore.delete(requestData.id);
-                
-                console.log('Background sync: Request retried successfully', requestData.url);
-            } catch (error) {
-                console.log('Background sync: Request still failing', requestData.url);
-            }
-        }
+        requests = await idbRequest(store.getAll());
     } catch (error) {
         console.error('Background sync: Failed to process requests', error);
+        return;
+    }
+    
+    const { pending, obsolete } = dedupeFailedRequests(requests);
+    const replayed = [];
+    const conflicts = [];
+    let stillFailing = false;
+    
+    for (const requestData of obsolete) {
+        await deleteFailedRequest(db, requestData.id);
+    }
+    
+    for (const requestData of pending) {
+        const options = { ...requestData.options, headers: { ...requestData.options.headers } };
+        
+        // Prefer the token last sent by a page (SET_CSRF_TOKEN) over the one stored at queue
+        // time; read it per request since a page may load while the replay runs
+        const csrfToken = await getSetting('csrfToken');
+        if (csrfToken) {
+            options.headers['X-CSRF-TOKEN'] = csrfToken;
+        }
+        
+        let response;
+        
+        try {
+            response = await fetch(requestData.url, options);
+        } catch (error) {
+            stillFailing = true;
+            console.log('Background sync: Request still failing', requestData.url);
+            continue;
+        }
+        
+        // Server-side trouble - keep the request for the next sync
+        if (response.status >= 500 || response.status === 408 || response.status === 429) {
+            stillFailing = true;
+            console.log('Background sync: Server not ready', requestData.url, response.status);
+            continue;
+        }
+        
+        const data = await response.json().catch(() => ({}));
+        const summary = {
+            type: requestData.type,
+            payload: requestData.payload,
+            timestamp: requestData.timestamp
+        };
+        
+        // Remove handled request from storage
+        await deleteFailedRequest(db, requestData.id);
+        
+        if (response.ok && data.success !== false) {
+            replayed.push({ ...summary, data });
+            console.log('Background sync: Request retried successfully', requestData.url);
+        } else {
+            // Rejected by the server (out of stock, expired session...) - report, don't retry
+            conflicts.push({ ...summary, status: response.status, message: data.message });
+            console.log('Background sync: Request rejected', requestData.url, response.status);
+        }
+    }
+    
+    if (replayed.length > 0 || conflicts.length > 0) {
+        await notifyClients({ type: 'SYNC_COMPLETE', replayed, conflicts });
+    }
+    
+    // Rejecting makes the browser schedule another sync attempt
+    if (stillFailing) {
+        throw new Error('Background sync: Some requests are still pending');
     }
 }
 
+// Keep only the newest request per dedupe key (several tabs may queue the same mutation)
+function dedupeFailedRequests(requests) {
+    const latestByKey = new Map();
+    const pending = [];
+    const obsolete = [];
+    
+    requests
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach((requestData) => {
+            if (!requestData.dedupeKey) {
+                pending.push(requestData);
+                return;
+            }
+            
+            const previous = latestByKey.get(requestData.dedupeKey);
+            if (previous) {
+                obsolete.push(previous);
+            }
+            latestByKey.set(requestData.dedupeKey, requestData);
+        });
+    
+    return {
+        pending: pending.concat(Array.from(latestByKey.values())).sort((a, b) => a.timestamp - b.timestamp),
+        obsolete
+    };
+}
+
+async function deleteFailedRequest(db, id) {
+    const transaction = db.transaction(['failed-requests'], 'readwrite');
+    await idbRequest(transaction.objectStore('failed-requests').delete(id));
+}
+
+// Post a message to every open storefront tab
+async function notifyClients(message) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach((client) => client.postMessage(message));
+}
+
 // Push notifications
 self.addEventListener('push', (event) => {
     if (!event.data) {
@@ -320,106 +717,297 @@ self.addEventListener('push', (event) => {
     }
     
     const data = event.data.json();
+    
+    event.waitUntil(
+        showPushNotification(data)
+    );
+});
+
+async function showPushNotification(data) {
     const options = {
         body: data.body,
-        icon: '/assets/images/icon-192.png',
-        badge: '/assets/images/badge-72.png',
-        data: data.data,
+        icon: data.icon || '/assets/images/icons/icon-192x192.png',
+        badge: '/assets/images/icons/icon-72x72.png',
+        image: data.image,
+        tag: data.tag,
+        data: {
+            url: data.url || (data.data && data.data.url) || '/',
+            campaign: data.campaign || (data.data && data.data.campaign) || null,
+            notificationId: data.id || null
+        },
+        dir: (await getLocaleSettings()).dir || 'auto',
         actions: [
             {
                 action: 'view',
-                title: 'عرض',
-                icon: '/assets/images/view-icon.png'
+                title: await translate('pushView')
             },
             {
                 action: 'dismiss',
-                title: 'إغلاق',
-                icon: '/assets/images/close-icon.png'
+                title: await translate('pushDismiss')
             }
         ]
     };
     
+    return self.registration.showNotification(data.title, options);
+}
+
+// Notification click handling - "dismiss" only closes; the body and "view" open the deep link
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    
+    const data = event.notification.data || {};
+    const action = event.action || 'open';
+    
+    if (action === 'dismiss') {
+        event.waitUntil(reportPushEvent('dismiss', data));
+        return;
+    }
+    
     event.waitUntil(
-        self.registration.showNotification(data.title, options)
+        Promise.all([
+            reportPushEvent('click', data, action),
+            openDeepLink(data, action)
+        ])
     );
 });
 
-// Notification click handling
-self.addEventListener('notificationclick', (event) => {
-    event.notification.close();
+// Swiped away without a click
+self.addEventListener('notificationclose', (event) => {
+    event.waitUntil(reportPushEvent('close', event.notification.data || {}));
+});
+
+// Same-origin deep links only, tagged so page analytics attribute the visit
+async function openDeepLink(data, action) {
+    let target = new URL(data.url || '/', self.location.origin);
     
-    if (event.action === 'view') {
-        const url = event.notification.data?.url || '/';
-        
-        event.waitUntil(
-            clients.matchAll({ type: 'window' })
-                .then((clientList) => {
-                    // Check if window is already open
-                    for (const client of clientList) {
-                        if (client.url === url && 'focus' in client) {
-                            return client.focus();
-                        }
-                    }
-                    
-                    // Open new window
-                    if (clients.openWindow) {
-                        return clients.openWindow(url);
-                    }
-                })
-        );
+    if (target.origin !== self.location.origin) {
+        target = new URL('/', self.location.origin);
+    }
+    
+    target.searchParams.set('utm_source', 'push');
+    target.searchParams.set('utm_medium', 'notification');
+    if (data.campaign) {
+        target.searchParams.set('utm_campaign', data.campaign);
+    }
+    
+    const clientList = await clients.matchAll({ type: 'window' });
+    
+    // Check if the page is already open
+    for (const client of clientList) {
+        if (new URL(client.url).pathname === target.pathname && 'focus' in client) {
+            client.postMessage({ type: 'NOTIFICATION_CLICK', action, campaign: data.campaign });
+            return client.focus();
+        }
     }
+    
+    // Open new window
+    if (clients.openWindow) {
+        return clients.openWindow(target.href);
+    }
+}
+
+// Endpoints, topics and CSRF token come from the page's SET_PUSH_CONFIG
+async function reportPushEvent(type, data, action = null) {
+    const { eventsEndpoint = '/api/push/events', csrfToken } = await getSetting('push') || {};
+    
+    try {
+        await fetch(eventsEndpoint, {
+            method: 'POST',
+            headers: pushHeaders(csrfToken),
+            body: JSON.stringify({
+                type,
+                action,
+                campaign: data.campaign,
+                notificationId: data.notificationId,
+                timestamp: Date.now()
+            })
+        });
+    } catch (error) {
+        console.error('Service Worker: Failed to report push event', error);
+    }
+}
+
+function pushHeaders(csrfToken) {
+    const headers = { 'Content-Type': 'application/json' };
+    
+    if (csrfToken) {
+        headers['X-CSRF-TOKEN'] = csrfToken;
+    }
+    
+    return headers;
+}
+
+// The browser rotated the subscription - register the new one and drop the old one,
+// with the same requests the page sends when subscribing and unsubscribing
+self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil(resubscribe(event));
 });
 
+async function resubscribe(event) {
+    const { endpoint, topics = [], locale, csrfToken } = await getSetting('push') || {};
+    const options = event.oldSubscription && event.oldSubscription.options;
+    
+    if (!endpoint || !options) {
+        return;
+    }
+    
+    const subscription = event.newSubscription || await self.registration.pushManager.subscribe(options);
+    
+    await fetch(endpoint, {
+        method: 'POST',
+        headers: pushHeaders(csrfToken),
+        body: JSON.stringify({ subscription: subscription.toJSON(), topics, locale })
+    });
+    
+    await fetch(endpoint, {
+        method: 'DELETE',
+        headers: pushHeaders(csrfToken),
+        body: JSON.stringify({ endpoint: event.oldSubscription.endpoint, locale })
+    });
+}
+
 // Cache management utilities
 self.addEventListener('message', (event) => {
+    // The page's consent covers its own tab only; another tab may be mid-checkout
     if (event.data && event.data.type === 'SKIP_WAITING') {
-        self.skipWaiting();
+        event.waitUntil(
+            skipWaitingUnlessCheckout(event.data.checkoutPattern)
+                .then((skipped) => replyTo(event, { type: 'SKIP_WAITING_RESULT', skipped }))
+        );
     }
     
+    // cacheName is a full cache name or a CACHE_ALIASES key (default: dynamic)
     if (event.data && event.data.type === 'CACHE_URLS') {
         event.waitUntil(
-            cacheUrls(event.data.urls)
+            cacheUrls(event.data.urls, resolveCacheName(event.data.cacheName || 'dynamic'))
+                .then((result) => replyTo(event, { type: 'URLS_CACHED', ...result }))
+        );
+    }
+    
+    if (event.data && event.data.type === 'GET_CACHE_STATS') {
+        event.waitUntil(
+            getCacheStats().then((stats) => replyTo(event, { type: 'CACHE_STATS', stats }))
         );
     }
     
+    // Drops the whole cache, or only the given urls when provided
     if (event.data && event.data.type === 'CLEAR_CACHE') {
+        const cacheName = resolveCacheName(event.data.cacheName);
+        
+        event.waitUntil(
+            clearCache(cacheName, event.data.urls)
+                .then(() => replyTo(event, { type: 'CACHE_CLEARED', cacheName }))
+        );
+    }
+    
+    // Sent by pages whenever the language is loaded or switched
+    if (event.data && event.data.type === 'SET_LOCALE') {
+        event.waitUntil(
+            saveLocaleSettings({
+                locale: event.data.locale,
+                dir: event.data.dir,
+                messages: event.data.messages || {}
+            })
+        );
+    }
+    
+    // Sent by subscribed pages, for pushsubscriptionchange and notification reports
+    if (event.data && event.data.type === 'SET_PUSH_CONFIG') {
+        const { endpoint, eventsEndpoint, topics, locale, csrfToken } = event.data;
+        
+        event.waitUntil(
+            setSetting('push', { endpoint, eventsEndpoint, topics, locale, csrfToken })
+        );
+    }
+    
+    // Sent by pages on load, so replays outside an open page still use a current token
+    if (event.data && event.data.type === 'SET_CSRF_TOKEN') {
+        event.waitUntil(
+            setSetting('csrfToken', event.data.csrfToken)
+        );
+    }
+    
+    // Sent by pages on "online" when Background Sync is unavailable
+    if (event.data && event.data.type === 'REPLAY_FAILED_REQUESTS') {
         event.waitUntil(
-            clearCache(event.data.cacheName)
+            (event.data.csrfToken ? setSetting('csrfToken', event.data.csrfToken) : Promise.resolve())
+                .then(() => doBackgroundSync())
         );
     }
 });
 
 // Cache specific URLs
-async function cacheUrls(urls) {
-    const cache = await caches.open(DYNAMIC_CACHE);
+async function cacheUrls(urls, cacheName = DYNAMIC_CACHE) {
+    const cached = [];
+    const failed = [];
     
     for (const url of urls) {
         try {
             const response = await fetch(url);
             if (response.ok) {
-                await cache.put(url, response);
+                await putInCache(cacheName, url, response);
+                cached.push(url);
                 console.log('Service Worker: Cached URL', url);
+            } else {
+                failed.push(url);
             }
         } catch (error) {
+            failed.push(url);
             console.error('Service Worker: Failed to cache URL', url, error);
         }
     }
+    
+    return { cached, failed };
 }
 
-// Clear specific cache
-async function clearCache(cacheName) {
+// Clear specific cache, or only some of its entries
+async function clearCache(cacheName, urls) {
     try {
-        await caches.delete(cacheName);
+        if (urls) {
+            const cache = await caches.open(cacheName);
+            await Promise.all(urls.map((url) => cache.delete(url)));
+        } else {
+            await caches.delete(cacheName);
+        }
         console.log('Service Worker: Cache cleared', cacheName);
     } catch (error) {
         console.error('Service Worker: Failed to clear cache', cacheName, error);
     }
 }
 
-// IndexedDB helper for storing failed requests
+function resolveCacheName(name) {
+    return CACHE_ALIASES[name] || name;
+}
+
+// Replies on the transferred MessagePort, or to the sender
+// checkoutPattern is the page's config.serviceWorker.checkoutPattern source
+async function skipWaitingUnlessCheckout(checkoutPattern) {
+    if (checkoutPattern) {
+        const pattern = new RegExp(checkoutPattern);
+        const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        
+        if (clientList.some((client) => pattern.test(new URL(client.url).pathname))) {
+            console.log('Service Worker: Update deferred, a checkout is open');
+            return false;
+        }
+    }
+    
+    await self.skipWaiting();
+    return true;
+}
+
+function replyTo(event, message) {
+    if (event.ports && event.ports[0]) {
+        event.ports[0].postMessage(message);
+    } else if (event.source) {
+        event.source.postMessage(message);
+    }
+}
+
+// IndexedDB helper for storing failed requests (schema mirrored in main.js)
 function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('vaperelax-sw', 1);
+        const request = indexedDB.open('vaperelax-sw', 2);
         
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
@@ -431,27 +1019,64 @@ function openDB() {
                 const store = db.createObjectStore('failed-requests', { keyPath: 'id', autoIncrement: true });
                 store.createIndex('timestamp', 'timestamp', { unique: false });
             }
+            
+            // v2: locale and other key/value settings
+            if (!db.objectStoreNames.contains('settings')) {
+                db.createObjectStore('settings');
+            }
         };
     });
 }
 
-// Performance monitoring
-self.addEventListener('fetch', (event) => {
-    // Track cache hit/miss rates
-    const startTime = performance.now();
+// Key/value settings shared with pages (locale, push endpoint)
+async function getSetting(key) {
+    try {
+        const db = await openDB();
+        const transaction = db.transaction(['settings'], 'readonly');
+        return await idbRequest(transaction.objectStore('settings').get(key));
+    } catch (error) {
+        console.error('Service Worker: Failed to read setting', key, error);
+        return undefined;
+    }
+}
+
+async function setSetting(key, value) {
+    try {
+        const db = await openDB();
+        const transaction = db.transaction(['settings'], 'readwrite');
+        await idbRequest(transaction.objectStore('settings').put(value, key));
+    } catch (error) {
+        console.error('Service Worker: Failed to store setting', key, error);
+    }
+}
+
+// Locale settings, read once per worker lifetime
+async function getLocaleSettings() {
+    if (!localeSettings) {
+        localeSettings = (await getSetting('locale')) || {};
+    }
     
-    event.respondWith(
-        handleRequest(event.request).then((response) => {
-            const endTime = performance.now();
-            const duration = endTime - startTime;
-            
-            // Log performance metrics
-            console.log(`SW: ${event.request.url} - ${duration.toFixed(2)}ms`);
-            
-            return response;
-        })
-    );
-});
+    return localeSettings;
+}
+
+async function saveLocaleSettings(settings) {
+    localeSettings = settings;
+    await setSetting('locale', settings);
+}
+
+async function translate(key) {
+    const { messages } = await getLocaleSettings();
+    
+    return (messages && messages.sw && messages.sw[key]) || DEFAULT_MESSAGES[key];
+}
+
+// Promisify an IndexedDB request
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
 console.log('Service Worker: Script loaded');
 
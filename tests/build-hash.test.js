@@ -0,0 +1,22 @@
+/**
+ * The build hash in src/views/partials/build-hash.twig must match the files it covers,
+ * otherwise a deploy keeps serving the previous build's service worker caches.
+ *
+ *     node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { computeBuildHash, renderPartial, OUTPUT } = require('../scripts/build-hash.js');
+
+test('committed build hash matches the precached files', () => {
+    const committed = fs.readFileSync(path.join(__dirname, '..', OUTPUT), 'utf8');
+
+    assert.equal(committed, renderPartial(computeBuildHash()), 'run: node scripts/build-hash.js');
+});
+
+test('build hash is a short hex digest', () => {
+    assert.match(computeBuildHash(), /^[0-9a-f]{12}$/);
+});
@@ -0,0 +1,30 @@
+/**
+ * src/assets/locales and main.js's inline Arabic fallback are generated from src/locales
+ * by scripts/build-locales.js and must not drift from it.
+ *
+ *     node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { getOutputs, ROOT } = require('../scripts/build-locales.js');
+
+test('generated locale files match src/locales', () => {
+    Object.entries(getOutputs()).forEach(([file, expected]) => {
+        assert.ok(fs.readFileSync(path.join(ROOT, file), 'utf8') === expected, `${file} is stale, run: node scripts/build-locales.js`);
+    });
+});
+
+test('every locale has the same keys', () => {
+    const keys = (node, prefix = '') => Object.entries(node).flatMap(([name, value]) => (
+        value && typeof value === 'object' ? keys(value, `${prefix}${name}.`) : [`${prefix}${name}`]
+    ));
+    const ar = JSON.parse(fs.readFileSync(path.join(ROOT, 'src/locales/ar.json'), 'utf8'));
+    const en = JSON.parse(fs.readFileSync(path.join(ROOT, 'src/locales/en.json'), 'utf8'));
+
+    // Plural entries legitimately differ (Arabic has six categories)
+    const singular = list => list.filter(key => !/\.(zero|one|two|few|many|other)$/.test(key));
+    assert.deepEqual(singular(keys(en)).sort(), singular(keys(ar)).sort());
+});
@@ -0,0 +1,109 @@
+/**
+ * Injection tests for the html`` template helper, escapeHTML() and sanitizeURL()
+ * in src/assets/js/main.js. Uses Node's built-in runner, no dependencies:
+ *
+ *     node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// main.js is a browser script; give it just enough of a window to define VaperelaxTheme
+// without running init()
+function loadTheme() {
+    const noop = () => {};
+    const context = {
+        window: { addEventListener: noop, location: { href: 'https://store.test/', origin: 'https://store.test' } },
+        document: { readyState: 'loading', addEventListener: noop },
+        console
+    };
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/assets/js/main.js'), 'utf8'), context);
+
+    return context.window.VaperelaxTheme;
+}
+
+const theme = loadTheme();
+const render = (strings, ...values) => String(theme.html(strings, ...values));
+
+test('escapeHTML escapes every character that can open a tag or close an attribute', () => {
+    assert.equal(theme.escapeHTML('<a href="x" title=\'y\'>`&`</a>'),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&#96;&amp;&#96;&lt;/a&gt;');
+    assert.equal(theme.escapeHTML(null), '');
+    assert.equal(theme.escapeHTML(undefined), '');
+    assert.equal(theme.escapeHTML(0), '0');
+});
+
+test('text interpolations cannot inject elements', () => {
+    const name = '<img src=x onerror=alert(1)>';
+    const output = render`<h3 class="title">${name}</h3>`;
+
+    assert.equal(output, '<h3 class="title">&lt;img src=x onerror=alert(1)&gt;</h3>');
+    assert.ok(!output.includes('<img'));
+});
+
+test('quoted attribute values cannot break out into new attributes', () => {
+    const doubleQuoted = render`<img alt="${'" onerror="alert(1)'}">`;
+    const singleQuoted = render`<img alt='${"' onerror='alert(1)"}'>`;
+
+    assert.equal(doubleQuoted, '<img alt="&quot; onerror=&quot;alert(1)">');
+    assert.equal(singleQuoted, "<img alt='&#39; onerror=&#39;alert(1)'>");
+});
+
+test('script-capable schemes in href are replaced with #', () => {
+    const payloads = [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        '  javascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '\u0000javascript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=='
+    ];
+
+    payloads.forEach(payload => {
+        assert.equal(render`<a href="${payload}">x</a>`, '<a href="#">x</a>', JSON.stringify(payload));
+    });
+});
+
+test('src drops script-capable schemes but keeps data images', () => {
+    assert.equal(render`<img src="${'javascript:alert(1)'}">`, '<img src="">');
+    assert.equal(render`<img src="${'data:text/html,<script>alert(1)</script>'}">`, '<img src="">');
+    assert.equal(render`<img src="${'data:image/png;base64,iVBORw0KGgo='}">`, '<img src="data:image/png;base64,iVBORw0KGgo=">');
+    assert.equal(render`<a href="${'data:image/png;base64,iVBORw0KGgo='}">x</a>`, '<a href="#">x</a>');
+});
+
+test('safe URLs pass through, still attribute-escaped', () => {
+    assert.equal(render`<a href="${'/products/1?a=1&b=2'}">x</a>`, '<a href="/products/1?a=1&amp;b=2">x</a>');
+    assert.equal(render`<a href="${'https://store.test/p"onclick="x'}">x</a>`, '<a href="https://store.test/p&quot;onclick=&quot;x">x</a>');
+    assert.equal(render`<a href="${'tel:+966500000000'}">x</a>`, '<a href="tel:+966500000000">x</a>');
+});
+
+test('entity-encoded schemes stay literal text', () => {
+    assert.equal(render`<a href="${'&#106;avascript:alert(1)'}">x</a>`, '<a href="&amp;#106;avascript:alert(1)">x</a>');
+});
+
+test('sanitizeURL honours the fallback option', () => {
+    assert.equal(theme.sanitizeURL('javascript:alert(1)', { fallback: '' }), '');
+    assert.equal(theme.sanitizeURL('javascript:alert(1)'), '#');
+    assert.equal(theme.sanitizeURL(null), '');
+});
+
+test('nested templates and trustedHTML stay markup, look-alike objects do not', () => {
+    const items = ['<b>1</b>', '<b>2</b>'];
+
+    assert.equal(render`<ul>${items.map(item => theme.html`<li>${item}</li>`)}</ul>`,
+        '<ul><li>&lt;b&gt;1&lt;/b&gt;</li><li>&lt;b&gt;2&lt;/b&gt;</li></ul>');
+    assert.equal(render`<p>${theme.trustedHTML('<br>')}</p>`, '<p><br></p>');
+
+    // e.g. { "name": { "__html": "..." } } in an API response
+    const forged = JSON.parse('{"__html": "<img src=x onerror=alert(1)>"}');
+    assert.ok(!render`<p>${forged}</p>`.includes('<img'));
+    assert.equal(render`<p>${[items[0]]}</p>`, '<p>&lt;b&gt;1&lt;/b&gt;</p>');
+});